@@ -4,8 +4,10 @@ import Board from "./components/Board";
 import Toolbar from "./components/Toolbar";
 import Toolbox from "./components/Toolbox";
 import Sidebar from "./components/Sidebar";
+import SyncConflictDialog from "./components/SyncConflictDialog";
 import BoardProvider from "./store/BoardProvider";
 import ToolboxProvider from "./store/ToolboxProvider";
+import PresenceProvider from "./store/PresenceProvider";
 import Login from "./components/Login";
 import Register from "./components/Register";
 import { useParams } from "react-router-dom";
@@ -16,12 +18,15 @@ function HomePage() {
   console.log("homepage id ", id);
   return (
     <ToolboxProvider>
-      <div className="app-container">
-        <Toolbar />
-        <Board id={id} />
-        <Toolbox />
-        <Sidebar />
-      </div>
+      <PresenceProvider>
+        <div className="app-container">
+          <Toolbar />
+          <Board id={id} />
+          <Toolbox />
+          <Sidebar />
+          <SyncConflictDialog />
+        </div>
+      </PresenceProvider>
     </ToolboxProvider>
   );
 }
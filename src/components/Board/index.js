@@ -1,50 +1,231 @@
 import { useContext, useEffect, useLayoutEffect, useRef, useState } from "react";
-import rough from "roughjs";
+import cx from "classnames";
+import { FaMousePointer } from "react-icons/fa";
 import boardContext from "../../store/board-context";
-import { TOOL_ACTION_TYPES, TOOL_ITEMS, BASE_URL } from "../../constants";
+import presenceContext from "../../store/presence-context";
+import {
+  TOOL_ACTION_TYPES,
+  BASE_URL,
+  BINDING_GAP,
+  ERASER_MODES,
+  PALM_REJECTION_MS,
+  SELECTION_BOX_FILL,
+  SELECTION_COLOR,
+  SELECTION_HANDLE_SIZE,
+  TEXT_LINE_HEIGHT,
+  TOOL_ITEMS,
+  TRANSFORM_HANDLES,
+  ZOOM_WHEEL_SENSITIVITY,
+} from "../../constants";
 import toolboxContext from "../../store/toolbox-context";
 import socket from "../../utils/socket";
 
 import classes from "./index.module.css";
 
-import { getSvgPathFromStroke } from "../../utils/element";
-import getStroke from "perfect-freehand";
+import {
+  createElement,
+  createElementId,
+  getElementBounds,
+  getElementCenter,
+  getElementsBoundingBox,
+  getTextFont,
+  getTextLayout,
+  getTextOrigin,
+  getTextStyle,
+  getTransformHandles,
+} from "../../utils/element";
+import {
+  parseClipboardElements,
+  serializeClipboardElements,
+} from "../../utils/clipboard";
+import {
+  isImageFile,
+  readImageElements,
+  subscribeToImageLoads,
+} from "../../utils/image";
+import { isConnector } from "../../utils/connector";
+import { boardToScreen, screenToBoard } from "../../utils/viewport";
+import { loadCachedCanvas } from "../../utils/offlineCache";
+import { drawElements, rotateContext } from "../../utils/render";
 import axios from "axios";
 
+// Overlays are drawn in board coordinates, so line widths are divided by the
+// zoom to keep them one screen pixel wide
+const drawSelection = (context, element, withHandles, zoom) => {
+  const handles = getTransformHandles(element);
+  const topLeft = handles[TRANSFORM_HANDLES.TOP_LEFT];
+  const bottomRight = handles[TRANSFORM_HANDLES.BOTTOM_RIGHT];
+  const rotateHandle = handles[TRANSFORM_HANDLES.ROTATE];
+  context.save();
+  rotateContext(context, element);
+  context.strokeStyle = SELECTION_COLOR;
+  context.fillStyle = "#ffffff";
+  context.lineWidth = 1 / zoom;
+  context.setLineDash([4 / zoom, 4 / zoom]);
+  context.strokeRect(
+    topLeft.x,
+    topLeft.y,
+    bottomRight.x - topLeft.x,
+    bottomRight.y - topLeft.y
+  );
+  context.setLineDash([]);
+  if (!withHandles) {
+    context.restore();
+    return;
+  }
+  context.beginPath();
+  context.moveTo(rotateHandle.x, topLeft.y);
+  context.lineTo(rotateHandle.x, rotateHandle.y);
+  context.stroke();
+  Object.keys(handles).forEach((handle) => {
+    const { x, y } = handles[handle];
+    const half = SELECTION_HANDLE_SIZE / 2;
+    const size = SELECTION_HANDLE_SIZE;
+    if (handle === TRANSFORM_HANDLES.ROTATE) {
+      context.beginPath();
+      context.arc(x, y, half, 0, 2 * Math.PI);
+      context.fill();
+      context.stroke();
+    } else {
+      context.fillRect(x - half, y - half, size, size);
+      context.strokeRect(x - half, y - half, size, size);
+    }
+  });
+  context.restore();
+};
+
+const drawGroupSelection = (context, elements, zoom) => {
+  const { minX, minY, maxX, maxY } = getElementsBoundingBox(elements);
+  elements.forEach((element) => drawSelection(context, element, false, zoom));
+  context.save();
+  context.strokeStyle = SELECTION_COLOR;
+  context.lineWidth = 1 / zoom;
+  context.strokeRect(minX, minY, maxX - minX, maxY - minY);
+  context.restore();
+};
+
+// Outlines the elements a connector's ends are attached to
+const drawBindingHighlights = (context, elements, connector, zoom) => {
+  const padding = BINDING_GAP / 2;
+  elements
+    .filter(
+      (element) =>
+        element.id === connector.startBindingId ||
+        element.id === connector.endBindingId
+    )
+    .forEach((element) => {
+      const { minX, minY, maxX, maxY } = getElementBounds(element);
+      context.save();
+      rotateContext(context, element);
+      context.strokeStyle = SELECTION_COLOR;
+      context.lineWidth = 2 / zoom;
+      context.strokeRect(
+        minX - padding,
+        minY - padding,
+        maxX - minX + 2 * padding,
+        maxY - minY + 2 * padding
+      );
+      context.restore();
+    });
+};
+
+const drawSelectionBox = (context, { x1, y1, x2, y2 }, zoom) => {
+  context.save();
+  context.fillStyle = SELECTION_BOX_FILL;
+  context.strokeStyle = SELECTION_COLOR;
+  context.lineWidth = 1 / zoom;
+  context.fillRect(x1, y1, x2 - x1, y2 - y1);
+  context.strokeRect(x1, y1, x2 - x1, y2 - y1);
+  context.restore();
+};
+
 function Board({ id }) {
   const canvasRef = useRef();
   const textAreaRef = useRef();
+  const panStartRef = useRef(null);
+  const touchGestureRef = useRef(null);
+  const pointerRef = useRef(null);
+  const activePointerIdRef = useRef(null);
+  const touchPointerIdsRef = useRef(new Set());
+  const lastPenEventRef = useRef(0);
 
   const {
+    activeToolItem,
     elements,
     toolActionType,
+    selectedElementIds,
+    drawingElementId,
+    erasingElementIds,
+    selectionBox,
+    viewport,
     boardMouseDownHandler,
     boardMouseMoveHandler,
     boardMouseUpHandler,
+    boardDoubleClickHandler,
+    finishVertices,
     textAreaBlurHandler,
     undo,
     redo,
+    deleteSelected,
+    duplicateSelected,
+    pasteElements,
+    panViewport,
+    zoomViewport,
     setCanvasId,
-    setElements,
-    setHistory,
+    applyRemoteOperations,
+    loadServerElements,
+    restoreCachedCanvas,
   } = useContext(boardContext);
 
   const { toolboxState } = useContext(toolboxContext);
+  const { participants, updatePointer } = useContext(presenceContext);
   const token = localStorage.getItem("whiteboard_user_token");
 
   const [isAuthorized, setIsAuthorized] = useState(true);
+  const [canvasSize, setCanvasSize] = useState({
+    width: window.innerWidth,
+    height: window.innerHeight,
+  });
+  const [isSpacePressed, setIsSpacePressed] = useState(false);
+  const [isPanning, setIsPanning] = useState(false);
+  const [imageLoadCount, setImageLoadCount] = useState(0);
+  const [eraserPosition, setEraserPosition] = useState(null);
+  // What is typed into the textarea, which sizes it as it grows. null until
+  // the first keystroke, when the element's own text shows.
+  const [draftText, setDraftText] = useState(null);
+
+  // Text being edited is shown by the textarea instead of the canvas, and a
+  // note's card grows with the draft as it is typed
+  const editingTextId =
+    toolActionType === TOOL_ACTION_TYPES.WRITING ? drawingElementId : null;
+  const displayedElements =
+    editingTextId && draftText !== null
+      ? elements.map((element) =>
+          element.id === editingTextId
+            ? { ...element, text: draftText }
+            : element
+        )
+      : elements;
 
   useEffect(() => {
     if (id) {
       setCanvasId(id);
-      socket.emit("joinCanvas", { canvasId: id, token });
+      // Joining again after a dropped connection makes the server send
+      // loadCanvas, which is where changes made offline get reconciled
+      const joinCanvas = () => {
+        socket.emit("joinCanvas", { canvasId: id, token });
+      };
+      if (socket.connected) {
+        joinCanvas();
+      }
+      socket.on("connect", joinCanvas);
 
-      socket.on("receiveDrawingUpdate", (updatedElements) => {
-        setElements(updatedElements);
+      socket.on("receiveElementOperations", (operations) => {
+        applyRemoteOperations(operations);
       });
 
       socket.on("loadCanvas", (initialElements) => {
-        setElements(initialElements);
+        loadServerElements(id, initialElements);
       });
 
       socket.on("unauthorized", (data) => {
@@ -54,7 +235,8 @@ function Board({ id }) {
       });
 
       return () => {
-        socket.off("receiveDrawingUpdate");
+        socket.off("connect", joinCanvas);
+        socket.off("receiveElementOperations");
         socket.off("loadCanvas");
         socket.off("unauthorized");
       };
@@ -64,6 +246,17 @@ function Board({ id }) {
   useEffect(() => {
     const fetchCanvasData = async () => {
       if (id && token) {
+        setCanvasId(id);
+        // The cached copy shows straight away, and is all there is to work
+        // with when the server can't be reached
+        try {
+          const cachedCanvas = await loadCachedCanvas(id);
+          if (cachedCanvas) {
+            restoreCachedCanvas(cachedCanvas);
+          }
+        } catch (error) {
+          console.error("Error reading cached canvas:", error);
+        }
         try {
           const response = await axios.get(
             `${BASE_URL}/api/canvas/load/${id}`,
@@ -71,28 +264,68 @@ function Board({ id }) {
               headers: { Authorization: `Bearer ${token}` },
             }
           );
-          setCanvasId(id);
-          setElements(response.data.elements);
-          setHistory(response.data.elements);
-          requestAnimationFrame(() => {
-            setElements([...response.data.elements]);
-          });
+          loadServerElements(id, response.data.elements, true);
         } catch (error) {
-          console.error("Error loading canvas:", error);
+          console.error("Error loading canvas, working offline:", error);
         }
       }
     };
     fetchCanvasData();
   }, [id, token]);
 
+  useEffect(() => {
+    function handleResize() {
+      setCanvasSize({ width: window.innerWidth, height: window.innerHeight });
+    }
+    window.addEventListener("resize", handleResize);
+    return () => {
+      window.removeEventListener("resize", handleResize);
+    };
+  }, []);
+
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (canvas) {
-      canvas.width = window.innerWidth;
-      canvas.height = window.innerHeight;
-    } else {
-      console.warn("Canvas ref is null when trying to set dimensions.");
+    if (!canvas) return;
+    // Registered natively because React's wheel listener is passive and
+    // ctrl+wheel would otherwise zoom the whole page
+    function handleWheel(event) {
+      event.preventDefault();
+      if (event.ctrlKey || event.metaKey) {
+        zoomViewport(
+          Math.exp(-event.deltaY * ZOOM_WHEEL_SENSITIVITY),
+          event.clientX,
+          event.clientY
+        );
+      } else {
+        panViewport(-event.deltaX, -event.deltaY);
+      }
+    }
+    canvas.addEventListener("wheel", handleWheel, { passive: false });
+    return () => {
+      canvas.removeEventListener("wheel", handleWheel);
+    };
+  }, [panViewport, zoomViewport]);
+
+  useEffect(() => {
+    const isTyping = (event) =>
+      ["INPUT", "TEXTAREA"].includes(event.target.tagName);
+    function handleKeyDown(event) {
+      if (event.code === "Space" && !isTyping(event)) {
+        event.preventDefault();
+        setIsSpacePressed(true);
+      }
     }
+    function handleKeyUp(event) {
+      if (event.code === "Space") {
+        setIsSpacePressed(false);
+      }
+    }
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("keyup", handleKeyUp);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("keyup", handleKeyUp);
+    };
   }, []);
 
   useEffect(() => {
@@ -101,13 +334,121 @@ function Board({ id }) {
         undo();
       } else if (event.ctrlKey && event.key === "y") {
         redo();
+      } else if (
+        event.ctrlKey &&
+        event.key === "d" &&
+        !["INPUT", "TEXTAREA"].includes(event.target.tagName)
+      ) {
+        // Keeps the browser from bookmarking the page
+        event.preventDefault();
+        duplicateSelected();
+      } else if (
+        event.key === "Delete" &&
+        !["INPUT", "TEXTAREA"].includes(event.target.tagName)
+      ) {
+        deleteSelected();
+      } else if (event.key === "Enter" || event.key === "Escape") {
+        finishVertices();
       }
     }
     document.addEventListener("keydown", handleKeyDown);
     return () => {
       document.removeEventListener("keydown", handleKeyDown);
     };
-  }, [undo, redo]);
+  }, [undo, redo, deleteSelected, duplicateSelected, finishVertices]);
+
+  // Copy, cut and paste go through the clipboard events rather than keydown,
+  // since only those can read and write the system clipboard synchronously
+  useEffect(() => {
+    const isTyping = (event) =>
+      ["INPUT", "TEXTAREA"].includes(event.target.tagName);
+    // Pastes land under the pointer, or in the middle of the window when the
+    // pointer isn't over the board
+    const getPastePoint = () =>
+      pointerRef.current ||
+      screenToBoard(window.innerWidth / 2, window.innerHeight / 2, viewport);
+
+    function handleCopy(event) {
+      const selectedElements = elements.filter((element) =>
+        selectedElementIds.includes(element.id)
+      );
+      if (isTyping(event) || selectedElements.length === 0) return;
+      event.preventDefault();
+      event.clipboardData.setData(
+        "text/plain",
+        serializeClipboardElements(selectedElements)
+      );
+      if (event.type === "cut" && isAuthorized) {
+        deleteSelected();
+      }
+    }
+
+    function handlePaste(event) {
+      if (isTyping(event) || !isAuthorized) return;
+      const point = getPastePoint();
+      if (Array.from(event.clipboardData.files).some(isImageFile)) {
+        event.preventDefault();
+        readImageElements(event.clipboardData.files)
+          .then((imageElements) =>
+            pasteElements(imageElements, point, "Add image")
+          )
+          .catch((error) => {
+            console.error("Error pasting image:", error);
+            alert("The image could not be pasted.");
+          });
+        return;
+      }
+      const text = event.clipboardData.getData("text/plain");
+      if (!text.trim()) return;
+      event.preventDefault();
+      const copiedElements = parseClipboardElements(text);
+      if (copiedElements) {
+        pasteElements(copiedElements, point);
+        return;
+      }
+      const { stroke, size } = toolboxState[TOOL_ITEMS.TEXT];
+      pasteElements(
+        [
+          {
+            ...createElement(createElementId(), 0, 0, 0, 0, {
+              type: TOOL_ITEMS.TEXT,
+              stroke,
+              size,
+            }),
+            text,
+          },
+        ],
+        point
+      );
+    }
+
+    document.addEventListener("copy", handleCopy);
+    document.addEventListener("cut", handleCopy);
+    document.addEventListener("paste", handlePaste);
+    return () => {
+      document.removeEventListener("copy", handleCopy);
+      document.removeEventListener("cut", handleCopy);
+      document.removeEventListener("paste", handlePaste);
+    };
+  }, [
+    elements,
+    selectedElementIds,
+    viewport,
+    toolboxState,
+    isAuthorized,
+    deleteSelected,
+    pasteElements,
+  ]);
+
+  // Image elements are drawn once their picture has loaded, which happens
+  // after the render that first meets them
+  useEffect(
+    () =>
+      subscribeToImageLoads(() => {
+        setImageLoadCount((count) => count + 1);
+      }),
+    []
+  );
 
   useLayoutEffect(() => {
     const canvas = canvasRef.current;
@@ -115,89 +456,312 @@ function Board({ id }) {
       console.warn("Canvas ref is null in useLayoutEffect, cannot draw.");
       return;
     }
+    // Resizing clears the canvas, so it has to happen before drawing
+    if (
+      canvas.width !== canvasSize.width ||
+      canvas.height !== canvasSize.height
+    ) {
+      canvas.width = canvasSize.width;
+      canvas.height = canvasSize.height;
+    }
     const context = canvas.getContext("2d");
     context.save();
-    const roughCanvas = rough.canvas(canvas);
-
-    elements.forEach((element) => {
-      switch (element.type) {
-        case TOOL_ITEMS.LINE:
-        case TOOL_ITEMS.RECTANGLE:
-        case TOOL_ITEMS.CIRCLE:
-        case TOOL_ITEMS.ARROW:
-          roughCanvas.draw(element.roughEle);
-          break;
-        case TOOL_ITEMS.BRUSH:
-          context.fillStyle = element.stroke;
-          const path = new Path2D(getSvgPathFromStroke(getStroke(element.points)));
-          context.fill(path);
-          context.restore();
-          break;
-        case TOOL_ITEMS.TEXT:
-          context.textBaseline = "top";
-          context.font = `${element.size}px Caveat`;
-          context.fillStyle = element.stroke;
-          context.fillText(element.text, element.x1, element.y1);
-          context.restore();
-          break;
-        default:
-          console.error("Type not recognized:", element.type);
-          throw new Error("Type not recognized");
-      }
+    const { x, y, zoom } = viewport;
+    context.setTransform(zoom, 0, 0, zoom, x, y);
+    drawElements(canvas, context, displayedElements, {
+      fadedElementIds: erasingElementIds,
+      editingTextIds: editingTextId ? [editingTextId] : [],
     });
 
+    // A connector being drawn or selected shows what it is attached to
+    const connectorId =
+      toolActionType === TOOL_ACTION_TYPES.DRAWING
+        ? drawingElementId
+        : selectedElementIds.length === 1
+        ? selectedElementIds[0]
+        : null;
+    const connector = displayedElements.find(
+      (element) => element.id === connectorId && isConnector(element)
+    );
+    if (connector) {
+      drawBindingHighlights(
+        context,
+        displayedElements,
+        connector,
+        viewport.zoom
+      );
+    }
+
+    const selectedElements = displayedElements.filter((element) =>
+      selectedElementIds.includes(element.id)
+    );
+    if (selectedElements.length === 1) {
+      drawSelection(context, selectedElements[0], true, viewport.zoom);
+    } else if (selectedElements.length > 1) {
+      drawGroupSelection(context, selectedElements, viewport.zoom);
+    }
+    if (selectionBox) {
+      drawSelectionBox(context, selectionBox, viewport.zoom);
+    }
+    context.restore();
+
     return () => {
       context.clearRect(0, 0, canvas.width, canvas.height);
     };
-  }, [elements]);
+  }, [
+    displayedElements,
+    erasingElementIds,
+    editingTextId,
+    toolActionType,
+    drawingElementId,
+    selectedElementIds,
+    selectionBox,
+    viewport,
+    canvasSize,
+    imageLoadCount,
+  ]);
 
   useEffect(() => {
     const textarea = textAreaRef.current;
     if (toolActionType === TOOL_ACTION_TYPES.WRITING && textarea) {
       setTimeout(() => {
         textarea.focus();
+        // Editing existing text carries on from its end
+        textarea.setSelectionRange(
+          textarea.value.length,
+          textarea.value.length
+        );
       }, 0);
     }
   }, [toolActionType]);
 
-  const handleMouseDown = (event) => {
+  // Palm rejection: touches are ignored while a pen is in use and for a
+  // moment after, since the hand tends to rest on the screen while writing
+  const isRejectedTouch = (event) =>
+    event.pointerType === "touch" &&
+    Date.now() - lastPenEventRef.current < PALM_REJECTION_MS;
+
+  const handlePointerDown = (event) => {
+    if (event.pointerType === "pen") {
+      lastPenEventRef.current = Date.now();
+    }
+    if (isRejectedTouch(event)) return;
+    if (event.pointerType === "touch") {
+      touchPointerIdsRef.current.add(event.pointerId);
+      // A second finger starts a pan or pinch (handled by the touch events),
+      // so whatever the first finger started is finished off
+      if (touchPointerIdsRef.current.size > 1) {
+        if (activePointerIdRef.current !== null) {
+          activePointerIdRef.current = null;
+          boardMouseUpHandler();
+        }
+        return;
+      }
+    }
+    if (activePointerIdRef.current !== null) return;
+    // Keeps the events coming to the board when the pointer leaves it
+    // mid-stroke
+    event.currentTarget.setPointerCapture(event.pointerId);
+    activePointerIdRef.current = event.pointerId;
+    // Middle mouse or space+drag pans instead of using the active tool
+    if (event.button === 1 || isSpacePressed) {
+      event.preventDefault();
+      panStartRef.current = { x: event.clientX, y: event.clientY };
+      setIsPanning(true);
+      return;
+    }
     if (!isAuthorized) {
-      console.log("Not authorized to draw. Blocking mouse down.");
+      console.log("Not authorized to draw. Blocking pointer down.");
       return;
     }
     boardMouseDownHandler(event, toolboxState);
   };
 
-  const handleMouseMove = (event) => {
+  const handlePointerMove = (event) => {
+    if (event.pointerType === "pen") {
+      lastPenEventRef.current = Date.now();
+    }
+    if (isRejectedTouch(event)) return;
+    pointerRef.current = screenToBoard(event.clientX, event.clientY, viewport);
+    updatePointer(pointerRef.current);
+    if (activeToolItem === TOOL_ITEMS.ERASER) {
+      setEraserPosition({ x: event.clientX, y: event.clientY });
+    }
+    // The next vertex of a polygon or polyline follows the pointer between
+    // clicks, while no button is held
+    if (
+      event.pointerId !== activePointerIdRef.current &&
+      toolActionType !== TOOL_ACTION_TYPES.PLACING_VERTICES
+    ) {
+      return;
+    }
+    if (panStartRef.current) {
+      panViewport(
+        event.clientX - panStartRef.current.x,
+        event.clientY - panStartRef.current.y
+      );
+      panStartRef.current = { x: event.clientX, y: event.clientY };
+      return;
+    }
     if (!isAuthorized) {
       return;
     }
-    boardMouseMoveHandler(event);
-    socket.emit("drawingUpdate", { canvasId: id, elements });
+    boardMouseMoveHandler(event, toolboxState);
   };
 
-  const handleMouseUp = () => {
+  const handlePointerUp = (event) => {
+    touchPointerIdsRef.current.delete(event.pointerId);
+    if (event.pointerId !== activePointerIdRef.current) return;
+    activePointerIdRef.current = null;
+    if (panStartRef.current) {
+      panStartRef.current = null;
+      setIsPanning(false);
+      return;
+    }
     if (!isAuthorized) {
       return;
     }
     boardMouseUpHandler();
-    socket.emit("drawingUpdate", { canvasId: id, elements });
   };
 
+  const handlePointerLeave = () => {
+    pointerRef.current = null;
+    setEraserPosition(null);
+    updatePointer(null);
+  };
+
+  const handleDragOver = (event) => {
+    if (!isAuthorized || !event.dataTransfer.types.includes("Files")) return;
+    // Allows the drop, which the browser would otherwise handle by opening
+    // the file
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+  };
+
+  const handleDrop = async (event) => {
+    if (!isAuthorized) return;
+    event.preventDefault();
+    const point = screenToBoard(event.clientX, event.clientY, viewport);
+    try {
+      const imageElements = await readImageElements(event.dataTransfer.files);
+      if (imageElements.length === 0) {
+        alert("Only image files can be dropped onto the board.");
+        return;
+      }
+      pasteElements(imageElements, point, "Add image");
+    } catch (error) {
+      console.error("Error adding dropped image:", error);
+      alert("The image could not be added.");
+    }
+  };
+
+  const getTouchGesture = (touches) => {
+    const [first, second] = touches;
+    return {
+      x: (first.clientX + second.clientX) / 2,
+      y: (first.clientY + second.clientY) / 2,
+      distance: Math.hypot(
+        first.clientX - second.clientX,
+        first.clientY - second.clientY
+      ),
+    };
+  };
+
+  // Two fingers pan and pinch-zoom the board
+  const handleTouchStart = (event) => {
+    if (event.touches.length === 2) {
+      touchGestureRef.current = getTouchGesture(event.touches);
+    }
+  };
+
+  const handleTouchMove = (event) => {
+    const previous = touchGestureRef.current;
+    if (!previous || event.touches.length !== 2) return;
+    const gesture = getTouchGesture(event.touches);
+    panViewport(gesture.x - previous.x, gesture.y - previous.y);
+    if (previous.distance > 0) {
+      zoomViewport(gesture.distance / previous.distance, gesture.x, gesture.y);
+    }
+    touchGestureRef.current = gesture;
+  };
+
+  const handleTouchEnd = (event) => {
+    if (event.touches.length < 2) {
+      touchGestureRef.current = null;
+    }
+  };
+
+  const writingElement = displayedElements.find(
+    (element) => element.id === editingTextId
+  );
+  let textAreaStyle;
+  if (writingElement) {
+    // Laid out like the canvas draws it, at the current zoom, so the text
+    // doesn't shift when the textarea closes
+    const { width, height } = getTextLayout(writingElement);
+    const { textAlign, width: wrapWidth } = getTextStyle(writingElement);
+    const origin = getTextOrigin(writingElement);
+    const center = getElementCenter(writingElement);
+    const position = boardToScreen(origin.x, origin.y, viewport);
+    const screenWidth = width * viewport.zoom;
+    const screenHeight = height * viewport.zoom;
+    textAreaStyle = {
+      top: position.y,
+      left: position.x,
+      // Unwrapped text gets room for the caret after the last letter
+      width: wrapWidth ? screenWidth : screenWidth + 2,
+      height: screenHeight,
+      font: getTextFont({
+        ...writingElement,
+        size: parseInt(writingElement.size) * viewport.zoom,
+      }),
+      lineHeight: TEXT_LINE_HEIGHT,
+      textAlign,
+      whiteSpace: wrapWidth ? "pre-wrap" : "pre",
+      color: writingElement.stroke,
+      transform: writingElement.angle
+        ? `rotate(${writingElement.angle}rad)`
+        : undefined,
+      // Turned about the element's center, as the canvas does
+      transformOrigin: `${(center.x - origin.x) * viewport.zoom}px ${
+        (center.y - origin.y) * viewport.zoom
+      }px`,
+    };
+  }
+
+  const eraserRadius = toolboxState[TOOL_ITEMS.ERASER].size * viewport.zoom;
+  // Only the partial eraser works over an area, so only it shows one
+  const isEraserCursorShown =
+    activeToolItem === TOOL_ITEMS.ERASER &&
+    toolboxState[TOOL_ITEMS.ERASER].mode === ERASER_MODES.PARTIAL &&
+    eraserPosition &&
+    !isPanning;
+
+  let cursor;
+  if (isPanning) {
+    cursor = "grabbing";
+  } else if (isSpacePressed) {
+    cursor = "grab";
+  } else if (isEraserCursorShown) {
+    cursor = "none";
+  }
+
   return (
     <>
-      {toolActionType === TOOL_ACTION_TYPES.WRITING && elements.length > 0 && (
+      {writingElement && (
         <textarea
-          type="text"
+          key={writingElement.id}
           ref={textAreaRef}
           className={classes.textElementBox}
-          style={{
-            top: elements[elements.length - 1]?.y1,
-            left: elements[elements.length - 1]?.x1,
-            fontSize: `${elements[elements.length - 1]?.size}px`,
-            color: elements[elements.length - 1]?.stroke,
+          style={textAreaStyle}
+          defaultValue={writingElement.text}
+          wrap={textAreaStyle.whiteSpace === "pre" ? "off" : "soft"}
+          onChange={(event) => setDraftText(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Escape") event.target.blur();
           }}
           onBlur={(event) => {
+            setDraftText(null);
             textAreaBlurHandler(event.target.value);
           }}
         />
@@ -205,10 +769,61 @@ function Board({ id }) {
       <canvas
         ref={canvasRef}
         id="canvas"
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
+        className={classes.canvas}
+        style={{ cursor }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={handlePointerLeave}
+        onDoubleClick={boardDoubleClickHandler}
+        onTouchStart={handleTouchStart}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+        onDragOver={handleDragOver}
+        onDrop={handleDrop}
       />
+      {isEraserCursorShown && (
+        <div
+          className={classes.eraserCursor}
+          style={{
+            top: eraserPosition.y - eraserRadius,
+            left: eraserPosition.x - eraserRadius,
+            width: eraserRadius * 2,
+            height: eraserRadius * 2,
+          }}
+        />
+      )}
+      {participants
+        .filter((participant) => participant.pointer)
+        .map((participant) => {
+          const position = boardToScreen(
+            participant.pointer.x,
+            participant.pointer.y,
+            viewport
+          );
+          return (
+            <div
+              key={participant.clientId}
+              className={cx(classes.remoteCursor, {
+                [classes.idleCursor]: participant.isIdle,
+              })}
+              style={{
+                top: position.y,
+                left: position.x,
+                color: participant.color,
+              }}
+            >
+              <FaMousePointer />
+              <span
+                className={classes.cursorLabel}
+                style={{ backgroundColor: participant.color }}
+              >
+                {participant.name}
+              </span>
+            </div>
+          );
+        })}
     </>
   );
 }
@@ -0,0 +1,235 @@
+import React, { useContext, useState } from "react";
+import { createPortal } from "react-dom";
+import classes from "./index.module.css";
+import boardContext from "../../store/board-context";
+import {
+  COLORS,
+  EXPORT_FORMATS,
+  EXPORT_JPEG_QUALITY,
+  EXPORT_PADDING,
+  EXPORT_REGIONS,
+  EXPORT_SCALES,
+} from "../../constants";
+import {
+  downloadFile,
+  exportElementsToImage,
+  exportElementsToPdf,
+  getElementsSvg,
+  getExportBounds,
+} from "../../utils/export";
+
+const FORMAT_LABELS = {
+  [EXPORT_FORMATS.PNG]: "PNG",
+  [EXPORT_FORMATS.JPEG]: "JPEG",
+  [EXPORT_FORMATS.PDF]: "PDF",
+  [EXPORT_FORMATS.SVG]: "SVG",
+};
+
+const ExportDialog = ({ onClose }) => {
+  const { elements, selectedElementIds, viewport, canvasId } =
+    useContext(boardContext);
+  const [format, setFormat] = useState(EXPORT_FORMATS.PNG);
+  const [scale, setScale] = useState(window.devicePixelRatio > 1 ? 2 : 1);
+  const [region, setRegion] = useState(EXPORT_REGIONS.CONTENT);
+  const [hasBackground, setHasBackground] = useState(true);
+  const [background, setBackground] = useState(COLORS.WHITE);
+  const [padding, setPadding] = useState(EXPORT_PADDING);
+  const [quality, setQuality] = useState(EXPORT_JPEG_QUALITY);
+  const [isMultiPage, setIsMultiPage] = useState(false);
+  const [onlySelected, setOnlySelected] = useState(
+    selectedElementIds.length > 0
+  );
+  const [isExporting, setIsExporting] = useState(false);
+
+  const isRaster = format !== EXPORT_FORMATS.SVG;
+  const isJpegBased =
+    format === EXPORT_FORMATS.JPEG || format === EXPORT_FORMATS.PDF;
+  // JPEG has no transparency, so those formats always get a background
+  const exportedBackground =
+    hasBackground || isJpegBased ? background : null;
+
+  const exportedElements = onlySelected
+    ? elements.filter((element) => selectedElementIds.includes(element.id))
+    : elements;
+
+  const handleExport = async () => {
+    const bounds = getExportBounds(exportedElements, {
+      region,
+      padding,
+      viewport,
+      width: window.innerWidth,
+      height: window.innerHeight,
+    });
+    const options = {
+      bounds,
+      scale,
+      background: exportedBackground,
+      quality,
+    };
+    setIsExporting(true);
+    try {
+      let blob;
+      if (format === EXPORT_FORMATS.SVG) {
+        const svg = getElementsSvg(exportedElements, options);
+        blob = new Blob([svg], { type: "image/svg+xml" });
+      } else if (format === EXPORT_FORMATS.PDF) {
+        blob = await exportElementsToPdf(exportedElements, {
+          ...options,
+          multiPage: isMultiPage,
+        });
+      } else {
+        blob = await exportElementsToImage(exportedElements, {
+          ...options,
+          type: `image/${format}`,
+        });
+      }
+      downloadFile(blob, `${canvasId || "board"}.${format}`);
+      onClose();
+    } catch (error) {
+      console.error("Error exporting board:", error);
+      alert(`Export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Portalled to the body, since the toolbar's transform would otherwise
+  // become the containing block of the fixed overlay
+  return createPortal(
+    <div className={classes.overlay} onClick={onClose}>
+      <div
+        className={classes.dialog}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <h3 className={classes.title}>Export</h3>
+        <label className={classes.option}>
+          Format
+          <select
+            className={classes.selectInput}
+            value={format}
+            onChange={(event) => setFormat(event.target.value)}
+          >
+            {Object.values(EXPORT_FORMATS).map((exportFormat) => (
+              <option key={exportFormat} value={exportFormat}>
+                {FORMAT_LABELS[exportFormat]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={classes.option}>
+          Area
+          <select
+            className={classes.selectInput}
+            value={region}
+            onChange={(event) => setRegion(event.target.value)}
+          >
+            <option value={EXPORT_REGIONS.CONTENT}>Everything drawn</option>
+            <option value={EXPORT_REGIONS.VISIBLE}>Visible area</option>
+          </select>
+        </label>
+        {isRaster && (
+          <div className={classes.option}>
+            Scale
+            <div className={classes.scaleButtons}>
+              {EXPORT_SCALES.map((exportScale) => (
+                <button
+                  key={exportScale}
+                  className={
+                    exportScale === scale
+                      ? classes.activeScaleButton
+                      : classes.scaleButton
+                  }
+                  onClick={() => setScale(exportScale)}
+                >
+                  {exportScale}x
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+        <label className={classes.option}>
+          <input
+            type="checkbox"
+            checked={hasBackground || isJpegBased}
+            disabled={isJpegBased}
+            onChange={(event) => setHasBackground(event.target.checked)}
+          />
+          Background
+          <input
+            type="color"
+            className={classes.colorInput}
+            value={background}
+            disabled={!exportedBackground}
+            onChange={(event) => setBackground(event.target.value)}
+          />
+        </label>
+        {region === EXPORT_REGIONS.CONTENT && (
+          <label className={classes.option}>
+            Padding
+            <input
+              type="number"
+              className={classes.numberInput}
+              min={0}
+              value={padding}
+              onChange={(event) =>
+                setPadding(Math.max(0, Number(event.target.value) || 0))
+              }
+            />
+          </label>
+        )}
+        {isJpegBased && (
+          <label className={classes.option}>
+            Quality
+            <input
+              type="range"
+              className={classes.rangeInput}
+              min={0.1}
+              max={1}
+              step={0.01}
+              value={quality}
+              onChange={(event) => setQuality(Number(event.target.value))}
+            />
+            <span className={classes.value}>{Math.round(quality * 100)}%</span>
+          </label>
+        )}
+        {format === EXPORT_FORMATS.PDF && (
+          <label className={classes.option}>
+            <input
+              type="checkbox"
+              checked={isMultiPage}
+              onChange={(event) => setIsMultiPage(event.target.checked)}
+            />
+            Split across A4 pages
+          </label>
+        )}
+        <label className={classes.option}>
+          <input
+            type="checkbox"
+            checked={onlySelected}
+            disabled={selectedElementIds.length === 0}
+            onChange={(event) => setOnlySelected(event.target.checked)}
+          />
+          Only selected elements
+        </label>
+        {exportedElements.length === 0 && (
+          <p className={classes.message}>There is nothing to export.</p>
+        )}
+        <div className={classes.actions}>
+          <button className={classes.secondaryButton} onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className={classes.primaryButton}
+            disabled={exportedElements.length === 0 || isExporting}
+            onClick={handleExport}
+          >
+            {isExporting ? "Exporting…" : `Export ${FORMAT_LABELS[format]}`}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ExportDialog;
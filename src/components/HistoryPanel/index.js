@@ -0,0 +1,42 @@
+import React, { useContext } from "react";
+import { createPortal } from "react-dom";
+import cx from "classnames";
+import classes from "./index.module.css";
+import boardContext from "../../store/board-context";
+
+// Lists every undo step, oldest first. Clicking one undoes or redoes
+// everything up to it; the steps after the current one can still be redone
+// until something new is drawn.
+const HistoryPanel = ({ onClose }) => {
+  const { history, historyIndex, jumpToHistory } = useContext(boardContext);
+
+  const entries = [{ label: "Start" }, ...history];
+
+  return createPortal(
+    <div className={classes.panel}>
+      <div className={classes.header}>
+        <h3 className={classes.title}>History</h3>
+        <button className={classes.closeButton} onClick={onClose}>
+          ×
+        </button>
+      </div>
+      <ol className={classes.entries}>
+        {entries.map((entry, index) => (
+          <li
+            key={index}
+            className={cx(classes.entry, {
+              [classes.current]: index === historyIndex,
+              [classes.undone]: index > historyIndex,
+            })}
+            onClick={() => jumpToHistory(index)}
+          >
+            {entry.label}
+          </li>
+        ))}
+      </ol>
+    </div>,
+    document.body
+  );
+};
+
+export default HistoryPanel;
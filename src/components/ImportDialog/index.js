@@ -0,0 +1,36 @@
+import React from "react";
+import { createPortal } from "react-dom";
+import classes from "./index.module.css";
+
+const ImportDialog = ({ elementCount, onReplace, onMerge, onClose }) =>
+  // Portalled to the body, like the export dialog, to escape the toolbar
+  createPortal(
+    <div className={classes.overlay} onClick={onClose}>
+      <div
+        className={classes.dialog}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <h3 className={classes.title}>Open file</h3>
+        <p className={classes.message}>
+          The file contains {elementCount}{" "}
+          {elementCount === 1 ? "element" : "elements"}. Replace everything on
+          this board with it, or add it on top of what is already here? Either
+          way it can be undone.
+        </p>
+        <div className={classes.actions}>
+          <button className={classes.secondaryButton} onClick={onClose}>
+            Cancel
+          </button>
+          <button className={classes.secondaryButton} onClick={onMerge}>
+            Add to board
+          </button>
+          <button className={classes.primaryButton} onClick={onReplace}>
+            Replace board
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+
+export default ImportDialog;
@@ -3,8 +3,9 @@ import axios from 'axios';
 import './index.min.css';
 import { useNavigate } from 'react-router-dom';
 import boardContext from '../../store/board-context';
+import presenceContext from '../../store/presence-context';
 import { useParams } from 'react-router-dom';
-import { BASE_URL } from '../../constants';
+import { BASE_URL, DISPLAY_NAME_MAX_LENGTH } from '../../constants';
 
 
 const Sidebar = () => {
@@ -19,10 +20,12 @@ const Sidebar = () => {
   const {
     canvasId,
     setCanvasId,
-    setHistory,
+    clearHistory,
     isUserLoggedIn,
     setUserLoginStatus
   } = useContext(boardContext);
+  const { self, participants, displayName, changeDisplayName } = useContext(presenceContext);
+  const activeParticipants = participants.filter(participant => !participant.hasLeft);
 
   // --- React Router Hooks ---
   const navigate = useNavigate();
@@ -111,7 +114,7 @@ const Sidebar = () => {
 
   // --- Function: Handle Canvas Click (Navigation) ---
   const handleCanvasClick = async (canvasToNavigateId) => {
-    setHistory([]);
+    clearHistory();
     setCanvasId(canvasToNavigateId);
     navigate(`/${canvasToNavigateId}`);
   };
@@ -174,6 +177,37 @@ const Sidebar = () => {
         + Create New Canvas
       </button>
 
+      {canvasId && self && (
+        <div className="presence-container">
+          <span className="presence-title">Active now</span>
+          <ul className="presence-list">
+            {[self, ...activeParticipants].map(participant => (
+              <li
+                key={participant.clientId}
+                className={`presence-avatar ${participant.isIdle ? 'idle' : ''}`}
+                style={{ backgroundColor: participant.color }}
+                title={participant.clientId === self.clientId ? `${participant.name} (You)` : participant.name}
+              >
+                {participant.name.slice(0, 2).toUpperCase()}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {canvasId && (
+        <label className="display-name">
+          Your name
+          <input
+            type="text"
+            placeholder="Guest"
+            maxLength={DISPLAY_NAME_MAX_LENGTH}
+            value={displayName}
+            onChange={(e) => changeDisplayName(e.target.value)}
+          />
+        </label>
+      )}
+
       <ul className="canvas-list">
         {canvases.length === 0 && isUserLoggedIn && <p>No canvases found. Create one!</p>}
         {canvases.length === 0 && !isUserLoggedIn && <p>Please log in to manage canvases.</p>}
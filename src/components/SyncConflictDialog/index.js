@@ -0,0 +1,40 @@
+import React, { useContext } from "react";
+import classes from "./index.module.css";
+import boardContext from "../../store/board-context";
+
+const SyncConflictDialog = () => {
+  const { hasSyncConflict, resolveSyncConflict } = useContext(boardContext);
+
+  if (!hasSyncConflict) return null;
+
+  return (
+    <div className={classes.overlay}>
+      <div className={classes.dialog}>
+        <h3 className={classes.title}>
+          This board changed while you were offline
+        </h3>
+        <p className={classes.message}>
+          Someone else edited the saved copy of this board while your changes
+          were waiting to be sent. Keep your changes to merge them into the
+          latest version, or discard them and use the saved copy as it is.
+        </p>
+        <div className={classes.actions}>
+          <button
+            className={classes.secondaryButton}
+            onClick={() => resolveSyncConflict(false)}
+          >
+            Discard my changes
+          </button>
+          <button
+            className={classes.primaryButton}
+            onClick={() => resolveSyncConflict(true)}
+          >
+            Keep my changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncConflictDialog;
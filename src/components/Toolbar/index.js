@@ -1,4 +1,4 @@
-import React, { useContext } from "react";
+import React, { useContext, useRef, useState } from "react";
 import classes from "./index.module.css";
 
 import cx from "classnames";
@@ -12,26 +12,132 @@ import {
   FaRedoAlt,
   FaFont,
   FaDownload,
+  FaMousePointer,
+  FaExpand,
+  FaSave,
+  FaFolderOpen,
+  FaImage,
+  FaHistory,
+  FaStickyNote,
 } from "react-icons/fa";
-import { LuRectangleHorizontal } from "react-icons/lu";
-import { TOOL_ITEMS } from "../../constants";
+import {
+  LuActivity,
+  LuDiamond,
+  LuHexagon,
+  LuRectangleHorizontal,
+  LuStar,
+  LuTriangle,
+} from "react-icons/lu";
+import {
+  BOARD_FILE_EXTENSION,
+  SAVE_STATUS,
+  TOOL_ITEMS,
+} from "../../constants";
 import boardContext from "../../store/board-context";
+import toolboxContext from "../../store/toolbox-context";
+import ExportDialog from "../ExportDialog";
+import HistoryPanel from "../HistoryPanel";
+import ImportDialog from "../ImportDialog";
+import { downloadFile } from "../../utils/export";
+import { parseBoardFile, serializeBoardFile } from "../../utils/boardFile";
+import { readImageElements } from "../../utils/image";
+import { screenToBoard } from "../../utils/viewport";
+
+const SAVE_STATUS_LABELS = {
+  [SAVE_STATUS.SAVING]: "Saving…",
+  [SAVE_STATUS.SAVED]: "Saved",
+  [SAVE_STATUS.OFFLINE]: "Offline – changes pending",
+};
 
 const Toolbar = () => {
-  const { activeToolItem, changeToolHandler, undo, redo } =
-    useContext(boardContext);
+  const {
+    activeToolItem,
+    viewport,
+    canvasId,
+    isUserLoggedIn,
+    saveStatus,
+    isOnline,
+    hasPendingOperations,
+    changeToolHandler,
+    undo,
+    redo,
+    zoomToFit,
+    resetZoom,
+    elements,
+    importElements,
+    pasteElements,
+  } = useContext(boardContext);
+  const { toolboxState, setToolboxState } = useContext(toolboxContext);
+
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
+  const [isHistoryPanelOpen, setIsHistoryPanelOpen] = useState(false);
+  const [importedFile, setImportedFile] = useState(null);
+  const fileInputRef = useRef(null);
+  const imageInputRef = useRef(null);
+
+  const displayedSaveStatus =
+    !isOnline || hasPendingOperations ? SAVE_STATUS.OFFLINE : saveStatus;
+
+  const handleSaveFileClick = () => {
+    const content = serializeBoardFile({ elements, viewport, toolboxState });
+    downloadFile(
+      new Blob([content], { type: "application/json" }),
+      `${canvasId || "board"}${BOARD_FILE_EXTENSION}`
+    );
+  };
+
+  const applyImportedFile = (file, replace) => {
+    importElements(file.elements, { replace, viewport: file.viewport });
+    if (replace && file.toolDefaults) {
+      setToolboxState(file.toolDefaults);
+    }
+    setImportedFile(null);
+  };
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files;
+    // Cleared so picking the same file again still triggers a change
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const importedBoard = parseBoardFile(await file.text());
+      if (elements.length === 0) {
+        applyImportedFile(importedBoard, true);
+      } else {
+        setImportedFile(importedBoard);
+      }
+    } catch (error) {
+      alert(`Could not open ${file.name}: ${error.message}`);
+    }
+  };
 
-  const handleDownloadClick = () => {
-    const canvas = document.getElementById("canvas");
-    const data = canvas.toDataURL("image/png");
-    const anchor = document.createElement("a");
-    anchor.href = data;
-    anchor.download = "board.png";
-    anchor.click();
+  // Picked images go in the middle of what the window shows
+  const handleImageChange = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = "";
+    if (files.length === 0) return;
+    try {
+      pasteElements(
+        await readImageElements(files),
+        screenToBoard(window.innerWidth / 2, window.innerHeight / 2, viewport),
+        "Add image"
+      );
+    } catch (error) {
+      console.error("Error adding image:", error);
+      alert("The image could not be added.");
+    }
   };
 
   return (
     <div className={classes.container}>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: activeToolItem === TOOL_ITEMS.SELECT,
+        })}
+        onClick={() => changeToolHandler(TOOL_ITEMS.SELECT)}
+      >
+        <FaMousePointer />
+      </div>
       <div
         className={cx(classes.toolItem, {
           [classes.active]: activeToolItem === TOOL_ITEMS.BRUSH,
@@ -72,6 +178,51 @@ const Toolbar = () => {
       >
         <FaArrowRight />
       </div>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: activeToolItem === TOOL_ITEMS.DIAMOND,
+        })}
+        title="Diamond"
+        onClick={() => changeToolHandler(TOOL_ITEMS.DIAMOND)}
+      >
+        <LuDiamond />
+      </div>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: activeToolItem === TOOL_ITEMS.TRIANGLE,
+        })}
+        title="Triangle"
+        onClick={() => changeToolHandler(TOOL_ITEMS.TRIANGLE)}
+      >
+        <LuTriangle />
+      </div>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: activeToolItem === TOOL_ITEMS.STAR,
+        })}
+        title="Star"
+        onClick={() => changeToolHandler(TOOL_ITEMS.STAR)}
+      >
+        <LuStar />
+      </div>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: activeToolItem === TOOL_ITEMS.POLYGON,
+        })}
+        title="Polygon (click each corner, double-click to finish)"
+        onClick={() => changeToolHandler(TOOL_ITEMS.POLYGON)}
+      >
+        <LuHexagon />
+      </div>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: activeToolItem === TOOL_ITEMS.POLYLINE,
+        })}
+        title="Polyline (click each point, double-click to finish)"
+        onClick={() => changeToolHandler(TOOL_ITEMS.POLYLINE)}
+      >
+        <LuActivity />
+      </div>
       <div
         className={cx(classes.toolItem, {
           [classes.active]: activeToolItem === TOOL_ITEMS.ERASER,
@@ -88,15 +239,110 @@ const Toolbar = () => {
       >
         <FaFont />
       </div>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: activeToolItem === TOOL_ITEMS.STICKY,
+        })}
+        title="Sticky note"
+        onClick={() => changeToolHandler(TOOL_ITEMS.STICKY)}
+      >
+        <FaStickyNote />
+      </div>
+      <div
+        className={classes.toolItem}
+        title="Insert image"
+        onClick={() => imageInputRef.current.click()}
+      >
+        <FaImage />
+      </div>
+      <input
+        ref={imageInputRef}
+        type="file"
+        accept="image/*"
+        multiple
+        className={classes.fileInput}
+        onChange={handleImageChange}
+      />
       <div className={classes.toolItem} onClick={undo}>
         <FaUndoAlt />
       </div>
       <div className={classes.toolItem} onClick={redo}>
         <FaRedoAlt />
       </div>
-      <div className={classes.toolItem} onClick={handleDownloadClick}>
+      <div
+        className={cx(classes.toolItem, {
+          [classes.active]: isHistoryPanelOpen,
+        })}
+        title="History"
+        onClick={() => setIsHistoryPanelOpen((isOpen) => !isOpen)}
+      >
+        <FaHistory />
+      </div>
+      <div
+        className={classes.toolItem}
+        title="Zoom to fit"
+        onClick={zoomToFit}
+      >
+        <FaExpand />
+      </div>
+      <div
+        className={cx(classes.toolItem, classes.zoomLevel)}
+        title="Reset zoom"
+        onClick={resetZoom}
+      >
+        {Math.round(viewport.zoom * 100)}%
+      </div>
+      <div
+        className={classes.toolItem}
+        title={`Save as ${BOARD_FILE_EXTENSION}`}
+        onClick={handleSaveFileClick}
+      >
+        <FaSave />
+      </div>
+      <div
+        className={classes.toolItem}
+        title="Open file"
+        onClick={() => fileInputRef.current.click()}
+      >
+        <FaFolderOpen />
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className={classes.fileInput}
+        onChange={handleFileChange}
+      />
+      <div
+        className={classes.toolItem}
+        title="Export"
+        onClick={() => setIsExportDialogOpen(true)}
+      >
         <FaDownload />
       </div>
+      {isUserLoggedIn && canvasId && (
+        <div
+          className={cx(classes.saveStatus, {
+            [classes.offline]: displayedSaveStatus === SAVE_STATUS.OFFLINE,
+          })}
+        >
+          {SAVE_STATUS_LABELS[displayedSaveStatus]}
+        </div>
+      )}
+      {importedFile && (
+        <ImportDialog
+          elementCount={importedFile.elements.length}
+          onReplace={() => applyImportedFile(importedFile, true)}
+          onMerge={() => applyImportedFile(importedFile, false)}
+          onClose={() => setImportedFile(null)}
+        />
+      )}
+      {isHistoryPanelOpen && (
+        <HistoryPanel onClose={() => setIsHistoryPanelOpen(false)} />
+      )}
+      {isExportDialogOpen && (
+        <ExportDialog onClose={() => setIsExportDialogOpen(false)} />
+      )}
     </div>
   );
 };
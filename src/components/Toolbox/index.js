@@ -1,29 +1,286 @@
-import React, { useContext } from "react";
+import React, { useContext, useState } from "react";
 
 import cx from "classnames";
+import {
+  MdAlignHorizontalLeft,
+  MdAlignHorizontalCenter,
+  MdAlignVerticalTop,
+  MdHorizontalDistribute,
+  MdVerticalDistribute,
+  MdFormatAlignLeft,
+  MdFormatAlignCenter,
+  MdFormatAlignRight,
+} from "react-icons/md";
 
 import classes from "./index.module.css";
 import {
+  ALIGN_TYPES,
   COLORS,
+  CONNECTOR_ROUTINGS,
+  CONNECTOR_TOOL_TYPES,
+  DISTRIBUTE_TYPES,
+  ERASER_MODES,
+  FILL_STYLES,
   FILL_TOOL_TYPES,
+  FONT_FAMILIES,
+  ROUGHNESS_LEVELS,
+  SHAPE_TOOL_TYPES,
   SIZE_TOOL_TYPES,
+  STROKE_STYLES,
   STROKE_TOOL_TYPES,
+  TEXT_ALIGNS,
+  TEXT_TOOL_TYPES,
+  TEXT_WRAP_WIDTH,
   TOOL_ITEMS,
 } from "../../constants";
 import toolboxContext from "../../store/toolbox-context";
 import boardContext from "../../store/board-context";
+import { getShapeStyle, getTextStyle } from "../../utils/element";
+
+const BRUSH_OPTION_CONTROLS = [
+  { option: "thinning", label: "Thinning", min: -1, max: 1, step: 0.05 },
+  { option: "smoothing", label: "Smoothing", min: 0, max: 1, step: 0.05 },
+  { option: "streamline", label: "Streamline", min: 0, max: 1, step: 0.05 },
+  { option: "taperStart", label: "Start Taper", min: 0, max: 100, step: 1 },
+  { option: "taperEnd", label: "End Taper", min: 0, max: 100, step: 1 },
+];
+
+const FONT_LABELS = {
+  [FONT_FAMILIES.HANDWRITTEN]: "Handwritten",
+  [FONT_FAMILIES.SANS_SERIF]: "Sans-serif",
+  [FONT_FAMILIES.SERIF]: "Serif",
+  [FONT_FAMILIES.MONOSPACE]: "Monospace",
+};
+
+const ROUGHNESS_CONTROLS = [
+  { roughness: ROUGHNESS_LEVELS.CLEAN, label: "Clean" },
+  { roughness: ROUGHNESS_LEVELS.ROUGH, label: "Rough" },
+  { roughness: ROUGHNESS_LEVELS.SKETCHY, label: "Sketchy" },
+];
+
+const STROKE_STYLE_CONTROLS = [
+  { strokeStyle: STROKE_STYLES.SOLID, label: "Solid" },
+  { strokeStyle: STROKE_STYLES.DASHED, label: "Dashed" },
+  { strokeStyle: STROKE_STYLES.DOTTED, label: "Dotted" },
+];
+
+const FILL_STYLE_LABELS = {
+  [FILL_STYLES.SOLID]: "Solid",
+  [FILL_STYLES.HACHURE]: "Hachure",
+  [FILL_STYLES.CROSS_HATCH]: "Cross-hatch",
+  [FILL_STYLES.DOTS]: "Dots",
+  [FILL_STYLES.ZIGZAG]: "Zigzag",
+};
+
+const TEXT_ALIGN_CONTROLS = [
+  { textAlign: TEXT_ALIGNS.LEFT, label: "Align left", Icon: MdFormatAlignLeft },
+  {
+    textAlign: TEXT_ALIGNS.CENTER,
+    label: "Align center",
+    Icon: MdFormatAlignCenter,
+  },
+  {
+    textAlign: TEXT_ALIGNS.RIGHT,
+    label: "Align right",
+    Icon: MdFormatAlignRight,
+  },
+];
+
+const getSizeRange = (tool) => {
+  switch (tool) {
+    case TOOL_ITEMS.TEXT:
+    case TOOL_ITEMS.STICKY:
+      return { label: "Font Size", min: 12, max: 64 };
+    case TOOL_ITEMS.BRUSH:
+      return { label: "Brush Size", min: 2, max: 48 };
+    default:
+      return { label: "Brush Size", min: 1, max: 10 };
+  }
+};
 
 const Toolbox = () => {
-  const { activeToolItem } = useContext(boardContext);
-  const { toolboxState, changeStroke, changeFill, changeSize } =
-    useContext(toolboxContext);
+  const {
+    activeToolItem,
+    elements,
+    selectedElementIds,
+    alignSelected,
+    distributeSelected,
+    changeSelectedStyle,
+  } = useContext(boardContext);
+  const {
+    toolboxState,
+    changeStroke,
+    changeFill,
+    changeSize,
+    changeToolOption,
+  } = useContext(toolboxContext);
 
   const strokeColor = toolboxState[activeToolItem]?.stroke;
   const fillColor = toolboxState[activeToolItem]?.fill;
   const size = toolboxState[activeToolItem]?.size;
+  const sizeRange = getSizeRange(activeToolItem);
+
+  const findSelected = (types) =>
+    activeToolItem === TOOL_ITEMS.SELECT
+      ? elements.find(
+          (element) =>
+            types.includes(element.type) &&
+            selectedElementIds.includes(element.id)
+        )
+      : null;
+
+  // Text options set up the text and sticky tools, or restyle the selected
+  // text and notes
+  const selectedTextElement = findSelected(TEXT_TOOL_TYPES);
+  const textTool = TEXT_TOOL_TYPES.includes(activeToolItem)
+    ? activeToolItem
+    : null;
+  const textStyle =
+    textTool || selectedTextElement
+      ? getTextStyle(selectedTextElement || toolboxState[textTool])
+      : null;
+  const changeTextOption = (option, value) => {
+    if (selectedTextElement) {
+      changeSelectedStyle(TEXT_TOOL_TYPES, option, value);
+    } else {
+      changeToolOption(textTool, option, value);
+    }
+  };
+  // A note's text always wraps inside its card
+  const isWrapShown =
+    (selectedTextElement?.type ?? textTool) === TOOL_ITEMS.TEXT;
+
+  const selectedSticky = findSelected([TOOL_ITEMS.STICKY]);
+  const noteColor =
+    activeToolItem === TOOL_ITEMS.STICKY
+      ? toolboxState[TOOL_ITEMS.STICKY].fill
+      : selectedSticky?.fill;
+  const changeNoteColor = (color) => {
+    if (selectedSticky) {
+      changeSelectedStyle([TOOL_ITEMS.STICKY], "fill", color);
+    } else {
+      changeFill(TOOL_ITEMS.STICKY, color);
+    }
+  };
+
+  // Connectors are routed straight or with elbows, on the tool or on the
+  // selected lines and arrows
+  const selectedConnector = findSelected(CONNECTOR_TOOL_TYPES);
+  const routing = CONNECTOR_TOOL_TYPES.includes(activeToolItem)
+    ? toolboxState[activeToolItem].routing
+    : selectedConnector &&
+      (selectedConnector.routing ?? CONNECTOR_ROUTINGS.STRAIGHT);
+  const changeRouting = (value) => {
+    if (selectedConnector) {
+      changeSelectedStyle(CONNECTOR_TOOL_TYPES, "routing", value);
+    } else {
+      changeToolOption(activeToolItem, "routing", value);
+    }
+  };
+
+  // Sketch options set up the shape tools, or restyle the selected shapes.
+  // The fill pattern only shows for a shape with a fill, and corner rounding
+  // only for rectangles.
+  const selectedShape = findSelected(SHAPE_TOOL_TYPES);
+  const shapeTool = SHAPE_TOOL_TYPES.includes(activeToolItem)
+    ? activeToolItem
+    : null;
+  const shapeStyle =
+    shapeTool || selectedShape
+      ? getShapeStyle(selectedShape || toolboxState[shapeTool])
+      : null;
+  const changeShapeOption = (types, option, value) => {
+    if (selectedShape) {
+      changeSelectedStyle(types, option, value);
+    } else {
+      changeToolOption(shapeTool, option, value);
+    }
+  };
+  const filledShape = shapeTool
+    ? FILL_TOOL_TYPES.includes(shapeTool) &&
+      fillColor !== null &&
+      toolboxState[shapeTool]
+    : elements.find(
+        (element) =>
+          FILL_TOOL_TYPES.includes(element.type) &&
+          selectedElementIds.includes(element.id) &&
+          element.fill
+      );
+  const roundableShape = shapeTool
+    ? shapeTool === TOOL_ITEMS.RECTANGLE && toolboxState[shapeTool]
+    : findSelected([TOOL_ITEMS.RECTANGLE]);
+
+  // Dragging the opacity of selected shapes is a single undo step, taken
+  // when the slider is let go
+  const [draftOpacity, setDraftOpacity] = useState(null);
+  const changeOpacity = (value) => {
+    if (selectedShape) {
+      setDraftOpacity(value);
+    } else {
+      changeToolOption(shapeTool, "opacity", value);
+    }
+  };
+  const commitOpacity = () => {
+    if (draftOpacity === null) return;
+    changeSelectedStyle(SHAPE_TOOL_TYPES, "opacity", draftOpacity);
+    setDraftOpacity(null);
+  };
 
   return (
     <div className={classes.container}>
+      {activeToolItem === TOOL_ITEMS.SELECT &&
+        selectedElementIds.length > 1 && (
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Align</div>
+            <div className={classes.actionsContainer}>
+              <div
+                className={classes.actionButton}
+                title="Align left"
+                onClick={() => alignSelected(ALIGN_TYPES.LEFT)}
+              >
+                <MdAlignHorizontalLeft />
+              </div>
+              <div
+                className={classes.actionButton}
+                title="Align center"
+                onClick={() => alignSelected(ALIGN_TYPES.CENTER)}
+              >
+                <MdAlignHorizontalCenter />
+              </div>
+              <div
+                className={classes.actionButton}
+                title="Align top"
+                onClick={() => alignSelected(ALIGN_TYPES.TOP)}
+              >
+                <MdAlignVerticalTop />
+              </div>
+            </div>
+          </div>
+        )}
+      {activeToolItem === TOOL_ITEMS.SELECT &&
+        selectedElementIds.length > 2 && (
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Distribute</div>
+            <div className={classes.actionsContainer}>
+              <div
+                className={classes.actionButton}
+                title="Space horizontally"
+                onClick={() =>
+                  distributeSelected(DISTRIBUTE_TYPES.HORIZONTAL)
+                }
+              >
+                <MdHorizontalDistribute />
+              </div>
+              <div
+                className={classes.actionButton}
+                title="Space vertically"
+                onClick={() => distributeSelected(DISTRIBUTE_TYPES.VERTICAL)}
+              >
+                <MdVerticalDistribute />
+              </div>
+            </div>
+          </div>
+        )}
       {STROKE_TOOL_TYPES.includes(activeToolItem) && (
         <div className={classes.selectOptionContainer}>
           <div className={classes.toolBoxLabel}>Stroke Color</div>
@@ -51,6 +308,23 @@ const Toolbox = () => {
           </div>
         </div>
       )}
+      {noteColor && (
+        <div className={classes.selectOptionContainer}>
+          <div className={classes.toolBoxLabel}>Note Color</div>
+          <div className={classes.colorsContainer}>
+            {Object.keys(COLORS).map((k) => (
+              <div
+                key={k}
+                className={cx(classes.colorBox, {
+                  [classes.activeColorBox]: noteColor === COLORS[k],
+                })}
+                style={{ backgroundColor: COLORS[k] }}
+                onClick={() => changeNoteColor(COLORS[k])}
+              ></div>
+            ))}
+          </div>
+        </div>
+      )}
       {FILL_TOOL_TYPES.includes(activeToolItem) && (
         <div className={classes.selectOptionContainer}>
           <div className={classes.toolBoxLabel}>Fill Color</div>
@@ -91,21 +365,312 @@ const Toolbox = () => {
           </div>
         </div>
       )}
-      {SIZE_TOOL_TYPES.includes(activeToolItem) && (
+      {routing && (
+        <div className={classes.selectOptionContainer}>
+          <div className={classes.toolBoxLabel}>Routing</div>
+          <div className={classes.actionsContainer}>
+            {[
+              { value: CONNECTOR_ROUTINGS.STRAIGHT, label: "Straight" },
+              { value: CONNECTOR_ROUTINGS.ELBOW, label: "Elbow" },
+            ].map(({ value, label }) => (
+              <div
+                key={value}
+                className={cx(classes.modeButton, {
+                  [classes.activeModeButton]: routing === value,
+                })}
+                onClick={() => changeRouting(value)}
+              >
+                {label}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {activeToolItem === TOOL_ITEMS.ERASER && (
         <div className={classes.selectOptionContainer}>
-          <div className={classes.toolBoxLabel}>
-            {activeToolItem === TOOL_ITEMS.TEXT ? "Font Size" : "Brush Size"}
+          <div className={classes.toolBoxLabel}>Eraser Mode</div>
+          <div className={classes.actionsContainer}>
+            {[
+              { mode: ERASER_MODES.ELEMENT, label: "Whole" },
+              { mode: ERASER_MODES.PARTIAL, label: "Partial" },
+            ].map(({ mode, label }) => (
+              <div
+                key={mode}
+                className={cx(classes.modeButton, {
+                  [classes.activeModeButton]:
+                    toolboxState[TOOL_ITEMS.ERASER].mode === mode,
+                })}
+                onClick={() =>
+                  changeToolOption(TOOL_ITEMS.ERASER, "mode", mode)
+                }
+              >
+                {label}
+              </div>
+            ))}
           </div>
+        </div>
+      )}
+      {activeToolItem === TOOL_ITEMS.ERASER &&
+        toolboxState[TOOL_ITEMS.ERASER].mode === ERASER_MODES.PARTIAL && (
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Eraser Size</div>
+            <input
+              type="range"
+              min={2}
+              max={50}
+              step={1}
+              value={toolboxState[TOOL_ITEMS.ERASER].size}
+              onChange={(event) =>
+                changeSize(TOOL_ITEMS.ERASER, Number(event.target.value))
+              }
+            ></input>
+          </div>
+        )}
+      {SIZE_TOOL_TYPES.includes(activeToolItem) && (
+        <div className={classes.selectOptionContainer}>
+          <div className={classes.toolBoxLabel}>{sizeRange.label}</div>
           <input
             type="range"
-            min={activeToolItem === TOOL_ITEMS.TEXT ? 12 : 1}
-            max={activeToolItem === TOOL_ITEMS.TEXT ? 64 : 10}
+            min={sizeRange.min}
+            max={sizeRange.max}
             step={1}
             value={size}
-            onChange={(event) => changeSize(activeToolItem, event.target.value)}
+            onChange={(event) =>
+              changeSize(activeToolItem, Number(event.target.value))
+            }
           ></input>
         </div>
       )}
+      {shapeStyle && (
+        <>
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Stroke Style</div>
+            <div className={classes.actionsContainer}>
+              {STROKE_STYLE_CONTROLS.map(({ strokeStyle, label }) => (
+                <div
+                  key={strokeStyle}
+                  className={cx(classes.modeButton, {
+                    [classes.activeModeButton]:
+                      shapeStyle.strokeStyle === strokeStyle,
+                  })}
+                  onClick={() =>
+                    changeShapeOption(
+                      SHAPE_TOOL_TYPES,
+                      "strokeStyle",
+                      strokeStyle
+                    )
+                  }
+                >
+                  {label}
+                </div>
+              ))}
+            </div>
+          </div>
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Roughness</div>
+            <div className={classes.actionsContainer}>
+              {ROUGHNESS_CONTROLS.map(({ roughness, label }) => (
+                <div
+                  key={roughness}
+                  className={cx(classes.modeButton, {
+                    [classes.activeModeButton]:
+                      shapeStyle.roughness === roughness,
+                  })}
+                  onClick={() =>
+                    changeShapeOption(SHAPE_TOOL_TYPES, "roughness", roughness)
+                  }
+                >
+                  {label}
+                </div>
+              ))}
+            </div>
+          </div>
+          {filledShape && (
+            <div className={classes.selectOptionContainer}>
+              <div className={classes.toolBoxLabel}>Fill Pattern</div>
+              <select
+                className={classes.selectInput}
+                value={getShapeStyle(filledShape).fillStyle}
+                onChange={(event) =>
+                  changeShapeOption(
+                    FILL_TOOL_TYPES,
+                    "fillStyle",
+                    event.target.value
+                  )
+                }
+              >
+                {Object.values(FILL_STYLES).map((fillStyle) => (
+                  <option key={fillStyle} value={fillStyle}>
+                    {FILL_STYLE_LABELS[fillStyle]}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {roundableShape && (
+            <div className={classes.selectOptionContainer}>
+              <label className={classes.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={getShapeStyle(roundableShape).isRounded}
+                  onChange={(event) =>
+                    changeShapeOption(
+                      [TOOL_ITEMS.RECTANGLE],
+                      "isRounded",
+                      event.target.checked
+                    )
+                  }
+                />
+                Round Corners
+              </label>
+            </div>
+          )}
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Opacity</div>
+            <input
+              type="range"
+              min={0.1}
+              max={1}
+              step={0.05}
+              value={draftOpacity ?? shapeStyle.opacity}
+              onChange={(event) => changeOpacity(Number(event.target.value))}
+              onPointerUp={commitOpacity}
+              onKeyUp={commitOpacity}
+              onBlur={commitOpacity}
+            ></input>
+          </div>
+        </>
+      )}
+      {textStyle && (
+        <>
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Font</div>
+            <select
+              className={classes.selectInput}
+              value={textStyle.fontFamily}
+              onChange={(event) =>
+                changeTextOption("fontFamily", event.target.value)
+              }
+            >
+              {Object.values(FONT_FAMILIES).map((fontFamily) => (
+                <option key={fontFamily} value={fontFamily}>
+                  {FONT_LABELS[fontFamily]}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={classes.selectOptionContainer}>
+            <div className={classes.toolBoxLabel}>Text Style</div>
+            <div className={classes.actionsContainer}>
+              <div
+                className={cx(classes.modeButton, classes.boldButton, {
+                  [classes.activeModeButton]: textStyle.isBold,
+                })}
+                title="Bold"
+                onClick={() => changeTextOption("isBold", !textStyle.isBold)}
+              >
+                B
+              </div>
+              <div
+                className={cx(classes.modeButton, classes.italicButton, {
+                  [classes.activeModeButton]: textStyle.isItalic,
+                })}
+                title="Italic"
+                onClick={() =>
+                  changeTextOption("isItalic", !textStyle.isItalic)
+                }
+              >
+                I
+              </div>
+              {TEXT_ALIGN_CONTROLS.map(({ textAlign, label, Icon }) => (
+                <div
+                  key={textAlign}
+                  className={cx(classes.actionButton, {
+                    [classes.activeActionButton]:
+                      textStyle.textAlign === textAlign,
+                  })}
+                  title={label}
+                  onClick={() => changeTextOption("textAlign", textAlign)}
+                >
+                  <Icon />
+                </div>
+              ))}
+            </div>
+          </div>
+          {isWrapShown && (
+            <div className={classes.selectOptionContainer}>
+              <label className={classes.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={!!textStyle.width}
+                  onChange={(event) =>
+                    changeTextOption(
+                      "width",
+                      event.target.checked ? TEXT_WRAP_WIDTH : null
+                    )
+                  }
+                />
+                Wrap Text
+              </label>
+            </div>
+          )}
+          {/* Selected text is made wider or narrower with its handles */}
+          {isWrapShown && !selectedTextElement && textStyle.width && (
+            <div className={classes.selectOptionContainer}>
+              <div className={classes.toolBoxLabel}>Box Width</div>
+              <input
+                type="range"
+                min={50}
+                max={1000}
+                step={10}
+                value={textStyle.width}
+                onChange={(event) =>
+                  changeTextOption("width", Number(event.target.value))
+                }
+              ></input>
+            </div>
+          )}
+        </>
+      )}
+      {activeToolItem === TOOL_ITEMS.BRUSH && (
+        <>
+          {BRUSH_OPTION_CONTROLS.map(({ option, label, min, max, step }) => (
+            <div key={option} className={classes.selectOptionContainer}>
+              <div className={classes.toolBoxLabel}>{label}</div>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={toolboxState[TOOL_ITEMS.BRUSH][option]}
+                onChange={(event) =>
+                  changeToolOption(
+                    TOOL_ITEMS.BRUSH,
+                    option,
+                    Number(event.target.value)
+                  )
+                }
+              ></input>
+            </div>
+          ))}
+          <div className={classes.selectOptionContainer}>
+            <label className={classes.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={toolboxState[TOOL_ITEMS.BRUSH].isHighlighter}
+                onChange={(event) =>
+                  changeToolOption(
+                    TOOL_ITEMS.BRUSH,
+                    "isHighlighter",
+                    event.target.checked
+                  )
+                }
+              />
+              Highlighter
+            </label>
+          </div>
+        </>
+      )}
     </div>
   );
 };
@@ -1,11 +1,19 @@
 export const TOOL_ITEMS = {
+  SELECT: "SELECT",
   BRUSH: "BRUSH",
   LINE: "LINE",
   RECTANGLE: "RECTANGLE",
   CIRCLE: "CIRCLE",
   ARROW: "ARROW",
+  DIAMOND: "DIAMOND",
+  TRIANGLE: "TRIANGLE",
+  STAR: "STAR",
+  POLYGON: "POLYGON",
+  POLYLINE: "POLYLINE",
   ERASER: "ERASER",
   TEXT: "TEXT",
+  STICKY: "STICKY",
+  IMAGE: "IMAGE",
 };
 
 export const TOOL_ACTION_TYPES = {
@@ -13,6 +21,11 @@ export const TOOL_ACTION_TYPES = {
   DRAWING: "DRAWING",
   ERASING: "ERASING",
   WRITING: "WRITING",
+  MOVING: "MOVING",
+  RESIZING: "RESIZING",
+  ROTATING: "ROTATING",
+  SELECTING: "SELECTING",
+  PLACING_VERTICES: "PLACING_VERTICES",
 };
 
 export const BOARD_ACTIONS = {
@@ -20,18 +33,110 @@ export const BOARD_ACTIONS = {
   DRAW_DOWN: "DRAW_DOWN",
   DRAW_MOVE: "DRAW_MOVE",
   DRAW_UP: "DRAW_UP",
+  ADD_VERTEX: "ADD_VERTEX",
+  FINISH_VERTICES: "FINISH_VERTICES",
   ERASE: "ERASE",
+  ERASE_UP: "ERASE_UP",
   CHANGE_ACTION_TYPE: "CHANGE_ACTION_TYPE",
   CHANGE_TEXT: "CHANGE_TEXT",
+  EDIT_TEXT: "EDIT_TEXT",
   UNDO: "UNDO",
   REDO: "REDO",
   SET_INITIAL_ELEMENTS: "SET_INITIAL_ELEMENTS",
   SET_CANVAS_ID: 'SET_CANVAS_ID',
   SET_CANVAS_ELEMENTS: 'SET_CANVAS_ELEMENTS',
-  SET_HISTORY: 'SET_HISTORY',
+  CLEAR_HISTORY: "CLEAR_HISTORY",
+  JUMP_TO_HISTORY: "JUMP_TO_HISTORY",
   SET_USER_LOGIN_STATUS: 'SET_USER_LOGIN_STATUS',
+  SET_VIEWPORT: "SET_VIEWPORT",
+  PAN_VIEWPORT: "PAN_VIEWPORT",
+  ZOOM_VIEWPORT: "ZOOM_VIEWPORT",
+  APPLY_REMOTE_OPERATIONS: "APPLY_REMOTE_OPERATIONS",
+  CLEAR_OUTGOING_OPERATIONS: "CLEAR_OUTGOING_OPERATIONS",
+  SELECT_DOWN: "SELECT_DOWN",
+  SELECT_MOVE: "SELECT_MOVE",
+  SELECT_UP: "SELECT_UP",
+  MOVE_ELEMENTS: "MOVE_ELEMENTS",
+  RESIZE_ELEMENT: "RESIZE_ELEMENT",
+  ROTATE_ELEMENT: "ROTATE_ELEMENT",
+  TRANSFORM_UP: "TRANSFORM_UP",
+  UPDATE_ELEMENTS: "UPDATE_ELEMENTS",
+  DELETE_ELEMENTS: "DELETE_ELEMENTS",
+  SET_SAVE_STATUS: "SET_SAVE_STATUS",
+  SET_CONNECTION_STATUS: "SET_CONNECTION_STATUS",
+  QUEUE_OFFLINE_OPERATIONS: "QUEUE_OFFLINE_OPERATIONS",
+  LOAD_SERVER_ELEMENTS: "LOAD_SERVER_ELEMENTS",
+  RESTORE_CACHED_CANVAS: "RESTORE_CACHED_CANVAS",
+  RESOLVE_SYNC_CONFLICT: "RESOLVE_SYNC_CONFLICT",
+  IMPORT_ELEMENTS: "IMPORT_ELEMENTS",
 };
 
+export const TRANSFORM_HANDLES = {
+  TOP_LEFT: "TOP_LEFT",
+  TOP_RIGHT: "TOP_RIGHT",
+  BOTTOM_LEFT: "BOTTOM_LEFT",
+  BOTTOM_RIGHT: "BOTTOM_RIGHT",
+  ROTATE: "ROTATE",
+};
+
+export const ELEMENT_OPERATIONS = {
+  ADD: "add",
+  UPDATE: "update",
+  DELETE: "delete",
+};
+
+export const ALIGN_TYPES = {
+  LEFT: "LEFT",
+  CENTER: "CENTER",
+  TOP: "TOP",
+};
+
+export const DISTRIBUTE_TYPES = {
+  HORIZONTAL: "HORIZONTAL",
+  VERTICAL: "VERTICAL",
+};
+
+export const ERASER_MODES = {
+  ELEMENT: "ELEMENT",
+  PARTIAL: "PARTIAL",
+};
+
+export const EXPORT_FORMATS = {
+  PNG: "png",
+  JPEG: "jpeg",
+  PDF: "pdf",
+  SVG: "svg",
+};
+
+export const EXPORT_REGIONS = {
+  CONTENT: "CONTENT",
+  VISIBLE: "VISIBLE",
+};
+
+export const SAVE_STATUS = {
+  SAVED: "SAVED",
+  SAVING: "SAVING",
+  OFFLINE: "OFFLINE",
+};
+
+export const PRESENCE_ACTIONS = {
+  UPDATE_PARTICIPANT: "UPDATE_PARTICIPANT",
+  REMOVE_PARTICIPANT: "REMOVE_PARTICIPANT",
+  REFRESH_PARTICIPANTS: "REFRESH_PARTICIPANTS",
+  CLEAR_PARTICIPANTS: "CLEAR_PARTICIPANTS",
+};
+
+export const PRESENCE_COLORS = [
+  "#e03131",
+  "#2f9e44",
+  "#1971c2",
+  "#f08c00",
+  "#9c36b5",
+  "#0c8599",
+  "#e8590c",
+  "#5f3dc4",
+];
+
 export const COLORS = {
   BLACK: "#000000",
   RED: "#ff0000",
@@ -46,25 +151,210 @@ export const TOOLBOX_ACTIONS = {
   CHANGE_STROKE: "CHANGE_STROKE",
   CHANGE_FILL: "CHANGE_FILL",
   CHANGE_SIZE: "CHANGE_SIZE",
+  CHANGE_TOOL_OPTION: "CHANGE_TOOL_OPTION",
+  SET_TOOLBOX_STATE: "SET_TOOLBOX_STATE",
 };
 
-export const FILL_TOOL_TYPES = [TOOL_ITEMS.RECTANGLE, TOOL_ITEMS.CIRCLE];
+export const FILL_TOOL_TYPES = [
+  TOOL_ITEMS.RECTANGLE,
+  TOOL_ITEMS.CIRCLE,
+  TOOL_ITEMS.DIAMOND,
+  TOOL_ITEMS.TRIANGLE,
+  TOOL_ITEMS.STAR,
+  TOOL_ITEMS.POLYGON,
+];
 export const STROKE_TOOL_TYPES = [
   TOOL_ITEMS.BRUSH,
   TOOL_ITEMS.LINE,
   TOOL_ITEMS.ARROW,
   TOOL_ITEMS.RECTANGLE,
   TOOL_ITEMS.CIRCLE,
+  TOOL_ITEMS.DIAMOND,
+  TOOL_ITEMS.TRIANGLE,
+  TOOL_ITEMS.STAR,
+  TOOL_ITEMS.POLYGON,
+  TOOL_ITEMS.POLYLINE,
   TOOL_ITEMS.TEXT,
+  TOOL_ITEMS.STICKY,
 ];
 export const SIZE_TOOL_TYPES = [
+  TOOL_ITEMS.BRUSH,
+  TOOL_ITEMS.LINE,
+  TOOL_ITEMS.ARROW,
+  TOOL_ITEMS.RECTANGLE,
+  TOOL_ITEMS.CIRCLE,
+  TOOL_ITEMS.DIAMOND,
+  TOOL_ITEMS.TRIANGLE,
+  TOOL_ITEMS.STAR,
+  TOOL_ITEMS.POLYGON,
+  TOOL_ITEMS.POLYLINE,
+  TOOL_ITEMS.TEXT,
+  TOOL_ITEMS.STICKY,
+];
+// Shapes drawn by dragging out a box, with their outline worked out from it
+export const BOX_SHAPE_TOOL_TYPES = [
+  TOOL_ITEMS.DIAMOND,
+  TOOL_ITEMS.TRIANGLE,
+  TOOL_ITEMS.STAR,
+];
+// Shapes drawn by clicking one vertex after another
+export const VERTEX_TOOL_TYPES = [TOOL_ITEMS.POLYGON, TOOL_ITEMS.POLYLINE];
+// Shapes drawn with rough.js, which take the sketch style options
+export const SHAPE_TOOL_TYPES = [
   TOOL_ITEMS.LINE,
   TOOL_ITEMS.ARROW,
   TOOL_ITEMS.RECTANGLE,
   TOOL_ITEMS.CIRCLE,
+  TOOL_ITEMS.DIAMOND,
+  TOOL_ITEMS.TRIANGLE,
+  TOOL_ITEMS.STAR,
+  TOOL_ITEMS.POLYGON,
+  TOOL_ITEMS.POLYLINE,
+];
+// Elements with text that can be edited in place
+export const TEXT_TOOL_TYPES = [TOOL_ITEMS.TEXT, TOOL_ITEMS.STICKY];
+// Lines and arrows are connectors whose ends can attach to these elements
+export const CONNECTOR_TOOL_TYPES = [TOOL_ITEMS.LINE, TOOL_ITEMS.ARROW];
+export const BINDABLE_TOOL_TYPES = [
+  TOOL_ITEMS.RECTANGLE,
+  TOOL_ITEMS.CIRCLE,
+  TOOL_ITEMS.DIAMOND,
+  TOOL_ITEMS.TRIANGLE,
+  TOOL_ITEMS.STAR,
   TOOL_ITEMS.TEXT,
+  TOOL_ITEMS.STICKY,
 ];
 
+export const CONNECTOR_ROUTINGS = {
+  STRAIGHT: "straight",
+  ELBOW: "elbow",
+};
+
+export const ROUGHNESS_LEVELS = {
+  CLEAN: 0,
+  ROUGH: 1,
+  SKETCHY: 2,
+};
+
+export const STROKE_STYLES = {
+  SOLID: "solid",
+  DASHED: "dashed",
+  DOTTED: "dotted",
+};
+
+// The values are rough.js fill styles
+export const FILL_STYLES = {
+  SOLID: "solid",
+  HACHURE: "hachure",
+  CROSS_HATCH: "cross-hatch",
+  DOTS: "dots",
+  ZIGZAG: "zigzag",
+};
+
+// rough.js's own roughness and the solid fill shapes always had, so shapes
+// drawn before these options existed look the same as they always did
+export const SHAPE_DEFAULTS = {
+  roughness: ROUGHNESS_LEVELS.ROUGH,
+  strokeStyle: STROKE_STYLES.SOLID,
+  fillStyle: FILL_STYLES.SOLID,
+  isRounded: false,
+  opacity: 1,
+};
+
+// perfect-freehand's own defaults, so strokes drawn before brushes had
+// options look the same as they always did
+export const BRUSH_DEFAULTS = {
+  size: 16,
+  thinning: 0.5,
+  smoothing: 0.5,
+  streamline: 0.5,
+  taperStart: 0,
+  taperEnd: 0,
+  isHighlighter: false,
+};
+
+export const FONT_FAMILIES = {
+  HANDWRITTEN: "Caveat",
+  SANS_SERIF: "Helvetica, Arial, sans-serif",
+  SERIF: "Georgia, serif",
+  MONOSPACE: "Courier New, monospace",
+};
+
+export const TEXT_ALIGNS = {
+  LEFT: "left",
+  CENTER: "center",
+  RIGHT: "right",
+};
+
+// A width of null means the box is as wide as its longest line and only
+// breaks lines where the text has newlines
+export const TEXT_DEFAULTS = {
+  fontFamily: FONT_FAMILIES.HANDWRITTEN,
+  isBold: false,
+  isItalic: false,
+  textAlign: TEXT_ALIGNS.LEFT,
+  width: null,
+};
+
+export const ELEMENT_SCHEMA_VERSION = 1;
+export const TEXT_LINE_HEIGHT = 1.25;
+export const TEXT_WRAP_WIDTH = 300;
+export const STICKY_SIZE = 200;
+export const STICKY_PADDING = 12;
+export const STICKY_SHADOW_COLOR = "rgba(0, 0, 0, 0.2)";
+export const HIGHLIGHTER_OPACITY = 0.4;
+export const ERASER_DEFAULT_RADIUS = 10;
+export const ERASE_PREVIEW_OPACITY = 0.25;
+// Circles are measured as polygons with this many sides
+export const ELLIPSE_OUTLINE_SEGMENTS = 32;
+export const HISTORY_MAX_DEPTH = 200;
 export const ARROW_LENGTH = 20;
+// How close a connector's end has to come to an element to attach, and how
+// far from its outline the attached end stops
+export const BINDING_DISTANCE = 10;
+export const BINDING_GAP = 6;
+// Clicking this close to a polygon's first vertex closes it
+export const VERTEX_CLOSE_DISTANCE = 10;
+// Rounded corners curve over a quarter of a rectangle's shorter side, up to
+// this radius
+export const CORNER_RADIUS = 32;
+export const STAR_POINTS = 5;
+export const STAR_INNER_RADIUS = 0.4;
 export const ELEMENT_ERASE_THRESHOLD = 0.1;
+export const SELECTION_PADDING = 6;
+export const SELECTION_HANDLE_SIZE = 8;
+export const ROTATION_HANDLE_OFFSET = 24;
+export const SELECTION_COLOR = "#4a47b1";
+export const SELECTION_BOX_FILL = "rgba(74, 71, 177, 0.08)";
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 10;
+export const ZOOM_WHEEL_SENSITIVITY = 0.01;
+export const ZOOM_FIT_PADDING = 40;
+export const PALM_REJECTION_MS = 500;
+export const EXPORT_PADDING = 20;
+export const EXPORT_SCALES = [1, 2, 4];
+export const EXPORT_JPEG_QUALITY = 0.92;
+export const EXPORT_MAX_CANVAS_SIZE = 16384;
+export const EXPORT_MAX_CANVAS_AREA = 8192 * 8192;
+export const PDF_PAGE_WIDTH = 595;
+export const PDF_PAGE_HEIGHT = 842;
+export const PDF_POINTS_PER_PIXEL = 0.75;
+export const BOARD_FILE_FORMAT = "whiteboard";
+export const BOARD_FILE_VERSION = 1;
+export const BOARD_FILE_EXTENSION = ".whiteboard.json";
+export const CLIPBOARD_FORMAT = "whiteboard/elements";
+export const DUPLICATE_OFFSET = 20;
+export const IMAGE_MAX_SIZE = 1600;
+export const IMAGE_JPEG_QUALITY = 0.85;
+export const IMAGE_GAP = 20;
+export const SYNC_THROTTLE_MS = 50;
+export const PRESENCE_THROTTLE_MS = 50;
+export const PRESENCE_HEARTBEAT_MS = 10000;
+export const PRESENCE_IDLE_MS = 5000;
+export const PRESENCE_TIMEOUT_MS = 30000;
+export const DISPLAY_NAME_MAX_LENGTH = 40;
+export const AUTOSAVE_DEBOUNCE_MS = 1000;
+export const OFFLINE_CACHE_THROTTLE_MS = 500;
+export const AUTOSAVE_RETRY_MS = 2000;
+export const AUTOSAVE_MAX_RETRY_MS = 30000;
 export const BASE_URL = "https://fullstackwhiteboardbackend.onrender.com";
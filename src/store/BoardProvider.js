@@ -1,20 +1,232 @@
-import React, { useCallback, useReducer, useEffect } from "react";
+import React, {
+  useCallback,
+  useReducer,
+  useEffect,
+  useRef,
+} from "react";
 import boardContext from "./board-context";
-import { BOARD_ACTIONS, TOOL_ACTION_TYPES, TOOL_ITEMS } from "../constants";
 import {
+  BOARD_ACTIONS,
+  CONNECTOR_TOOL_TYPES,
+  DUPLICATE_OFFSET,
+  ELEMENT_OPERATIONS,
+  ERASER_MODES,
+  OFFLINE_CACHE_THROTTLE_MS,
+  SAVE_STATUS,
+  STICKY_SIZE,
+  SYNC_THROTTLE_MS,
+  TEXT_TOOL_TYPES,
+  TOOL_ACTION_TYPES,
+  TOOL_ITEMS,
+  TRANSFORM_HANDLES,
+  VERTEX_CLOSE_DISTANCE,
+  VERTEX_TOOL_TYPES,
+} from "../constants";
+import {
+  createBrushPoint,
   createElement,
+  createElementId,
+  getNextElementOrder,
+  normalizeElements,
+  alignElements,
+  distributeElements,
+  eraseFromBrush,
+  isElementUnderEraser,
+  getElementsBoundingBox,
+  getTransformHandleAtPoint,
+  isElementInSelectionBox,
+  isPointInsideElementBounds,
   isPointNearElement,
+  moveElement,
+  resizeElement,
+  rotateElement,
 } from "../utils/element";
-import { updateCanvas, fetchInitialCanvasElements } from "../utils/api";
+import {
+  getBindableElementAt,
+  getBoundConnectorIds,
+  remapConnectorBindings,
+  routeBoundConnectors,
+  routeConnector,
+  updateBoundConnectors,
+} from "../utils/connector";
+import { createCanvasSaver } from "../utils/persistence";
+import { saveCachedCanvas } from "../utils/offlineCache";
+import {
+  applyOperations,
+  compactOperations,
+  diffElements,
+  getElementVersionsKey,
+  getOperationVersion,
+  normalizeOperations,
+  stampOperations,
+} from "../utils/operations";
+import {
+  createHistoryEntry,
+  getElementChanges,
+  getHistoryEntryIds,
+  pushHistoryEntry,
+  redoHistoryEntry,
+  undoHistoryEntry,
+} from "../utils/history";
+import socket from "../utils/socket";
+import {
+  DEFAULT_VIEWPORT,
+  getViewportToFit,
+  screenToBoard,
+  zoomViewportAt,
+} from "../utils/viewport";
 
 const canvasId = "67a66a7c2475972d34655e4d";
 
+const getMaxVersion = (elements) =>
+  elements.reduce((max, element) => Math.max(max, element.version ?? 0), 0);
+
+const keepExistingIds = (ids, elements) =>
+  ids.filter((id) => elements.some((element) => element.id === id));
+
+// Replays the changes made offline on top of the server copy and hands them
+// back to the outgoing queue, now that the server is reachable again
+const mergePendingOperations = (state, serverElements) => {
+  const { elements } = applyOperations(
+    serverElements,
+    state.tombstones,
+    compactOperations(state.pendingOperations)
+  );
+  return {
+    ...state,
+    elements,
+    selectedElementIds: keepExistingIds(state.selectedElementIds, elements),
+    clock: Math.max(state.clock, getMaxVersion(serverElements)),
+    outgoingOperations: [
+      ...state.outgoingOperations,
+      ...state.pendingOperations,
+    ],
+    pendingOperations: [],
+    offlineBase: null,
+    syncConflict: null,
+    saveRevision: state.saveRevision + 1,
+  };
+};
+
+// Decides what to do with a fresh server copy: take it as is when nothing is
+// waiting to be sent, merge the offline changes into it when it is still the
+// copy they were made on, and otherwise ask the user
+const reconcileServerElements = (state, serverElements) => {
+  if (state.pendingOperations.length === 0) {
+    return {
+      ...state,
+      elements: serverElements,
+      selectedElementIds: keepExistingIds(
+        state.selectedElementIds,
+        serverElements
+      ),
+      clock: Math.max(state.clock, getMaxVersion(serverElements)),
+      offlineBase: null,
+    };
+  }
+  if (getElementVersionsKey(serverElements) !== state.offlineBase) {
+    return {
+      ...state,
+      syncConflict: { serverElements },
+    };
+  }
+  return mergePendingOperations(state, serverElements);
+};
+
+const TRANSFORM_LABELS = {
+  [TOOL_ACTION_TYPES.MOVING]: "Move",
+  [TOOL_ACTION_TYPES.RESIZING]: "Resize",
+  [TOOL_ACTION_TYPES.ROTATING]: "Rotate",
+};
+
+const getElementsByIds = (elements, ids) =>
+  Object.fromEntries(
+    elements
+      .filter((element) => ids.includes(element.id))
+      .map((element) => [element.id, element])
+  );
+
+// Opens the textarea over a text element. textSnapshot keeps the element as
+// it was, so the edit becomes one undo step when the textarea closes.
+const startEditingText = (state, element) => ({
+  ...state,
+  toolActionType: TOOL_ACTION_TYPES.WRITING,
+  drawingElementId: element.id,
+  textSnapshot: element,
+  selectedElementIds: [],
+});
+
+const findTextElementAt = (elements, x, y) =>
+  [...elements]
+    .reverse()
+    .find(
+      (element) =>
+        TEXT_TOOL_TYPES.includes(element.type) &&
+        isPointNearElement(element, x, y)
+    );
+
+// Records a finished edit as one undo step, unless it changed nothing
+const commitHistoryEntry = (state, label, changes) => {
+  const entry = createHistoryEntry(label, changes);
+  if (entry.changes.length === 0) return state;
+  return {
+    ...state,
+    ...pushHistoryEntry(state.history, state.index, entry),
+  };
+};
+
+// Ends a polygon or polyline. The point following the pointer is dropped,
+// along with clicks repeated on one spot, such as a double-click's; a shape
+// left with a single vertex is discarded.
+const finishPlacingVertices = (state) => {
+  const element = state.elements.find(
+    (element) => element.id === state.drawingElementId
+  );
+  const newState = {
+    ...state,
+    toolActionType: TOOL_ACTION_TYPES.NONE,
+    drawingElementId: null,
+  };
+  if (!element) return newState;
+  const vertices = element.points
+    .slice(0, -1)
+    .filter(
+      (point, index, points) =>
+        index === 0 ||
+        point.x !== points[index - 1].x ||
+        point.y !== points[index - 1].y
+    );
+  if (vertices.length < 2) {
+    return {
+      ...newState,
+      elements: state.elements.filter((other) => other.id !== element.id),
+    };
+  }
+  const finished = { ...element, points: vertices };
+  return commitHistoryEntry(
+    {
+      ...newState,
+      elements: state.elements.map((other) =>
+        other.id === element.id ? finished : other
+      ),
+    },
+    `Draw ${element.type.toLowerCase()}`,
+    [{ id: element.id, before: null, after: finished }]
+  );
+};
+
 const boardReducer = (state, action) => {
   switch (action.type) {
     case BOARD_ACTIONS.CHANGE_TOOL: {
+      // Switching tools finishes a polygon or polyline being placed
+      const newState =
+        state.toolActionType === TOOL_ACTION_TYPES.PLACING_VERTICES
+          ? finishPlacingVertices(state)
+          : state;
       return {
-        ...state,
+        ...newState,
         activeToolItem: action.payload.tool,
+        selectedElementIds: [],
       };
     }
     case BOARD_ACTIONS.CHANGE_ACTION_TYPE:
@@ -23,55 +235,113 @@ const boardReducer = (state, action) => {
         toolActionType: action.payload.actionType,
       };
     case BOARD_ACTIONS.DRAW_DOWN: {
-      const { clientX, clientY, stroke, fill, size } = action.payload;
-      const newElement = createElement(
-        state.elements.length,
-        clientX,
-        clientY,
-        clientX,
-        clientY,
-        { type: state.activeToolItem, stroke, fill, size }
-      );
+      const { clientX, clientY, pressure, style } = action.payload;
+      const isWriting = TEXT_TOOL_TYPES.includes(state.activeToolItem);
+      if (isWriting) {
+        // Clicking existing text or a note with the text or sticky tool
+        // edits it
+        const textElement = findTextElementAt(state.elements, clientX, clientY);
+        if (textElement) return startEditingText(state, textElement);
+      }
+      // A new sticky note is centered on the click
+      const offset =
+        state.activeToolItem === TOOL_ITEMS.STICKY
+          ? (style.width || STICKY_SIZE) / 2
+          : 0;
+      const newElement = {
+        ...createElement(
+          createElementId(),
+          clientX - offset,
+          clientY - offset,
+          clientX - offset,
+          clientY - offset,
+          { ...style, type: state.activeToolItem, pressure }
+        ),
+        order: getNextElementOrder(state.elements),
+        // A line or arrow started on a shape is attached to it
+        ...(CONNECTOR_TOOL_TYPES.includes(state.activeToolItem) && {
+          startBindingId:
+            getBindableElementAt(state.elements, clientX, clientY)?.id ?? null,
+        }),
+      };
       const prevElements = state.elements;
+      let toolActionType = TOOL_ACTION_TYPES.DRAWING;
+      if (isWriting) {
+        toolActionType = TOOL_ACTION_TYPES.WRITING;
+      } else if (VERTEX_TOOL_TYPES.includes(state.activeToolItem)) {
+        toolActionType = TOOL_ACTION_TYPES.PLACING_VERTICES;
+      }
       return {
         ...state,
-        toolActionType:
-          state.activeToolItem === TOOL_ITEMS.TEXT
-            ? TOOL_ACTION_TYPES.WRITING
-            : TOOL_ACTION_TYPES.DRAWING,
+        toolActionType,
         elements: [...prevElements, newElement],
+        drawingElementId: newElement.id,
+        textSnapshot: null,
       };
     }
     case BOARD_ACTIONS.DRAW_MOVE: {
-      const { clientX, clientY } = action.payload;
+      const { clientX, clientY, pressure } = action.payload;
       const newElements = [...state.elements];
-      const index = state.elements.length - 1;
+      const index = state.elements.findIndex(
+        (element) => element.id === state.drawingElementId
+      );
+      if (index < 0) return state;
       const { type } = newElements[index];
       switch (type) {
         case TOOL_ITEMS.LINE:
+        case TOOL_ITEMS.ARROW: {
+          // The end attaches to whatever shape is under the pointer, and
+          // attached ends sit on the shapes' outlines
+          const connector = newElements[index];
+          const endBindingId =
+            getBindableElementAt(state.elements, clientX, clientY, [
+              connector.id,
+              connector.startBindingId,
+            ])?.id ?? null;
+          newElements[index] = routeConnector(
+            { ...connector, x2: clientX, y2: clientY, endBindingId },
+            state.elements
+          );
+          return {
+            ...state,
+            elements: newElements,
+          };
+        }
         case TOOL_ITEMS.RECTANGLE:
         case TOOL_ITEMS.CIRCLE:
-        case TOOL_ITEMS.ARROW:
-          const { x1, y1, stroke, fill, size } = newElements[index];
-          const newElement = createElement(index, x1, y1, clientX, clientY, {
-            type: state.activeToolItem,
-            stroke,
-            fill,
-            size,
-          });
-          newElements[index] = newElement;
+        case TOOL_ITEMS.DIAMOND:
+        case TOOL_ITEMS.TRIANGLE:
+        case TOOL_ITEMS.STAR:
+          newElements[index] = {
+            ...newElements[index],
+            x2: clientX,
+            y2: clientY,
+          };
+          return {
+            ...state,
+            elements: newElements,
+          };
+        case TOOL_ITEMS.POLYGON:
+        case TOOL_ITEMS.POLYLINE:
+          newElements[index] = {
+            ...newElements[index],
+            points: [
+              ...newElements[index].points.slice(0, -1),
+              { x: clientX, y: clientY },
+            ],
+          };
           return {
             ...state,
             elements: newElements,
           };
         case TOOL_ITEMS.BRUSH:
-          newElements[index].points = [
-            ...newElements[index].points,
-            { x: clientX, y: clientY },
-          ];
-          // newElements[index].path = new Path2D(
-          //   getSvgPathFromStroke(getStroke(newElements[index].points))
-          // );
+          newElements[index] = {
+            ...newElements[index],
+            points: [
+              ...newElements[index].points,
+              createBrushPoint(clientX, clientY, pressure),
+            ],
+          };
           return {
             ...state,
             elements: newElements,
@@ -81,150 +351,996 @@ const boardReducer = (state, action) => {
       }
     }
     case BOARD_ACTIONS.DRAW_UP: {
-      const elementsCopy = [...state.elements];
-      const newHistory = state.history.slice(0, state.index + 1);
-      newHistory.push(elementsCopy);
-      // updateCanvas(state.canvasId, elementsCopy);
-      // if (state.isUserLoggedIn) {
-      //   updateCanvas(state.canvasId, elementsCopy);
-      // }
-
+      const element = state.elements.find(
+        (element) => element.id === state.drawingElementId
+      );
+      const newState = {
+        ...state,
+        drawingElementId: null,
+      };
+      if (!element) return newState;
+      return commitHistoryEntry(
+        newState,
+        `Draw ${element.type.toLowerCase()}`,
+        [{ id: element.id, before: null, after: element }]
+      );
+    }
+    // Each click while placing a polygon or polyline fixes the vertex under
+    // the pointer and starts the next one
+    case BOARD_ACTIONS.ADD_VERTEX: {
+      const { clientX, clientY } = action.payload;
+      const element = state.elements.find(
+        (element) => element.id === state.drawingElementId
+      );
+      if (!element) return state;
+      const vertices = element.points.slice(0, -1);
+      // Clicking the first vertex again closes a polygon
+      if (
+        element.type === TOOL_ITEMS.POLYGON &&
+        vertices.length > 2 &&
+        Math.hypot(clientX - vertices[0].x, clientY - vertices[0].y) <=
+          VERTEX_CLOSE_DISTANCE
+      ) {
+        return finishPlacingVertices(state);
+      }
+      const vertex = { x: clientX, y: clientY };
       return {
         ...state,
-        history: newHistory,
-        index: state.index + 1,
+        elements: state.elements.map((other) =>
+          other.id === element.id
+            ? { ...element, points: [...vertices, vertex, vertex] }
+            : other
+        ),
       };
     }
-    case BOARD_ACTIONS.ERASE: {
+    case BOARD_ACTIONS.FINISH_VERTICES:
+      if (state.toolActionType !== TOOL_ACTION_TYPES.PLACING_VERTICES) {
+        return state;
+      }
+      return finishPlacingVertices(state);
+    case BOARD_ACTIONS.SELECT_DOWN: {
+      const { clientX, clientY, shiftKey } = action.payload;
+      const selectedElements = state.elements.filter((element) =>
+        state.selectedElementIds.includes(element.id)
+      );
+      const snapshotOf = (ids) => {
+        const elements = {};
+        state.elements.forEach((element) => {
+          if (ids.includes(element.id)) {
+            elements[element.id] = element;
+          }
+        });
+        // Connectors attached to the elements follow them, so they are part
+        // of the undo step too
+        const boundConnectors = getElementsByIds(
+          state.elements,
+          getBoundConnectorIds(state.elements, ids)
+        );
+        return {
+          handle: null,
+          startX: clientX,
+          startY: clientY,
+          elements,
+          boundConnectors,
+        };
+      };
+      if (selectedElements.length === 1 && !shiftKey) {
+        const handle = getTransformHandleAtPoint(
+          selectedElements[0],
+          clientX,
+          clientY
+        );
+        if (
+          handle ||
+          isPointInsideElementBounds(selectedElements[0], clientX, clientY)
+        ) {
+          let actionType = TOOL_ACTION_TYPES.MOVING;
+          if (handle === TRANSFORM_HANDLES.ROTATE) {
+            actionType = TOOL_ACTION_TYPES.ROTATING;
+          } else if (handle) {
+            actionType = TOOL_ACTION_TYPES.RESIZING;
+          }
+          return {
+            ...state,
+            toolActionType: actionType,
+            transformSnapshot: {
+              ...snapshotOf(state.selectedElementIds),
+              handle,
+            },
+          };
+        }
+      }
+      if (selectedElements.length > 1 && !shiftKey) {
+        const { minX, minY, maxX, maxY } =
+          getElementsBoundingBox(selectedElements);
+        if (
+          clientX >= minX &&
+          clientX <= maxX &&
+          clientY >= minY &&
+          clientY <= maxY
+        ) {
+          return {
+            ...state,
+            toolActionType: TOOL_ACTION_TYPES.MOVING,
+            transformSnapshot: snapshotOf(state.selectedElementIds),
+          };
+        }
+      }
+      // Topmost element wins, which is the last one drawn
+      let index = state.elements.length - 1;
+      while (
+        index >= 0 &&
+        !isPointNearElement(state.elements[index], clientX, clientY)
+      ) {
+        index--;
+      }
+      if (index < 0) {
+        return {
+          ...state,
+          toolActionType: TOOL_ACTION_TYPES.SELECTING,
+          selectedElementIds: [],
+          selectionBox: { x1: clientX, y1: clientY, x2: clientX, y2: clientY },
+        };
+      }
+      const { id } = state.elements[index];
+      if (shiftKey) {
+        return {
+          ...state,
+          selectedElementIds: state.selectedElementIds.includes(id)
+            ? state.selectedElementIds.filter((selectedId) => selectedId !== id)
+            : [...state.selectedElementIds, id],
+        };
+      }
+      const ids = state.selectedElementIds.includes(id)
+        ? state.selectedElementIds
+        : [id];
+      return {
+        ...state,
+        toolActionType: TOOL_ACTION_TYPES.MOVING,
+        selectedElementIds: ids,
+        transformSnapshot: snapshotOf(ids),
+      };
+    }
+    case BOARD_ACTIONS.SELECT_MOVE: {
       const { clientX, clientY } = action.payload;
-      let newElements = [...state.elements];
-      newElements = newElements.filter((element) => {
-        return !isPointNearElement(element, clientX, clientY);
-      });
-      const newHistory = state.history.slice(0, state.index + 1);
-      newHistory.push(newElements);
-      // updateCanvas(state.canvasId, newElements);
-      // if (state.isUserLoggedIn) {
-      //   updateCanvas(state.canvasId, newElements);
-      // }
+      const selectionBox = { ...state.selectionBox, x2: clientX, y2: clientY };
+      const selectedElementIds = state.elements
+        .filter((element) => isElementInSelectionBox(element, selectionBox))
+        .map((element) => element.id);
       return {
         ...state,
-        elements: newElements,
-        history: newHistory,
-        index: state.index + 1,
+        selectionBox,
+        selectedElementIds,
       };
     }
-    case BOARD_ACTIONS.CHANGE_TEXT: {
-      const index = state.elements.length - 1;
-      const newElements = [...state.elements];
-      newElements[index].text = action.payload.text;
-      const newHistory = state.history.slice(0, state.index + 1);
-      newHistory.push(newElements);
-      // updateCanvas(state.canvasId, newElements);
-      // if (state.isUserLoggedIn) {
-      //   updateCanvas(state.canvasId, newElements);
-      // }
+    case BOARD_ACTIONS.SELECT_UP:
+      return {
+        ...state,
+        selectionBox: null,
+      };
+    case BOARD_ACTIONS.MOVE_ELEMENTS: {
+      const { clientX, clientY } = action.payload;
+      const { startX, startY, elements } = state.transformSnapshot;
+      const newElements = state.elements.map((element) =>
+        elements[element.id]
+          ? moveElement(elements[element.id], clientX - startX, clientY - startY)
+          : element
+      );
+      return {
+        ...state,
+        elements: updateBoundConnectors(newElements, Object.keys(elements)),
+      };
+    }
+    case BOARD_ACTIONS.RESIZE_ELEMENT:
+    case BOARD_ACTIONS.ROTATE_ELEMENT: {
+      const { clientX, clientY } = action.payload;
+      const { handle, elements } = state.transformSnapshot;
+      const original = elements[state.selectedElementIds[0]];
+      const newElement =
+        action.type === BOARD_ACTIONS.RESIZE_ELEMENT
+          ? resizeElement(original, handle, clientX, clientY)
+          : rotateElement(original, clientX, clientY);
+      const newElements = state.elements.map((element) =>
+        element.id === original.id ? newElement : element
+      );
+      return {
+        ...state,
+        elements: updateBoundConnectors(newElements, [original.id]),
+      };
+    }
+    case BOARD_ACTIONS.TRANSFORM_UP: {
+      // A plain click on an element selects it without adding a history entry
+      return commitHistoryEntry(
+        {
+          ...state,
+          transformSnapshot: null,
+        },
+        TRANSFORM_LABELS[state.toolActionType],
+        getElementChanges(
+          {
+            ...state.transformSnapshot.boundConnectors,
+            ...state.transformSnapshot.elements,
+          },
+          state.elements
+        )
+      );
+    }
+    case BOARD_ACTIONS.UPDATE_ELEMENTS: {
+      const updatedById = new Map(
+        action.payload.elements.map((element) => [element.id, element])
+      );
+      const updatedIds = [...updatedById.keys()];
+      const newElements = updateBoundConnectors(
+        state.elements.map((element) => updatedById.get(element.id) || element),
+        updatedIds
+      );
+      return commitHistoryEntry(
+        {
+          ...state,
+          elements: newElements,
+        },
+        action.payload.label,
+        getElementChanges(
+          getElementsByIds(state.elements, [
+            ...updatedIds,
+            ...getBoundConnectorIds(state.elements, updatedIds),
+          ]),
+          newElements
+        )
+      );
+    }
+    case BOARD_ACTIONS.DELETE_ELEMENTS: {
+      const newElements = state.elements.filter(
+        (element) => !action.payload.ids.includes(element.id)
+      );
+      return commitHistoryEntry(
+        {
+          ...state,
+          elements: newElements,
+          selectedElementIds: [],
+        },
+        "Delete",
+        getElementChanges(
+          getElementsByIds(state.elements, action.payload.ids),
+          newElements
+        )
+      );
+    }
+    // An eraser swipe is one gesture: ERASE only previews it, and ERASE_UP
+    // commits the result to history as a single undo step
+    case BOARD_ACTIONS.ERASE: {
+      const { clientX, clientY, mode, radius } = action.payload;
+      // Whole elements stay on the board, faded, until the swipe ends. The
+      // partial eraser reaches as far as the circle it shows.
+      const touchedIds = state.elements
+        .filter(
+          (element) =>
+            !state.erasingElementIds.includes(element.id) &&
+            (mode !== ERASER_MODES.PARTIAL
+              ? isPointNearElement(element, clientX, clientY)
+              : element.type !== TOOL_ITEMS.BRUSH &&
+                isElementUnderEraser(element, clientX, clientY, radius))
+        )
+        .map((element) => element.id);
+      const erasingElementIds =
+        touchedIds.length > 0
+          ? [...state.erasingElementIds, ...touchedIds]
+          : state.erasingElementIds;
+      if (mode !== ERASER_MODES.PARTIAL) {
+        return touchedIds.length > 0 ? { ...state, erasingElementIds } : state;
+      }
+      // Brush strokes lose only what is under the eraser straight away, and
+      // may split in two; anything else goes as a whole when the swipe ends.
+      // The first piece keeps the stroke's id. eraseSnapshot remembers what
+      // each cut stroke was before the swipe, and that new pieces didn't
+      // exist.
+      const eraseSnapshot = { ...state.eraseSnapshot };
+      const newElements = state.elements.flatMap((element) => {
+        if (element.type !== TOOL_ITEMS.BRUSH) return [element];
+        const runs = eraseFromBrush(element, clientX, clientY, radius);
+        if (!runs) return [element];
+        if (!(element.id in eraseSnapshot)) {
+          eraseSnapshot[element.id] = element;
+        }
+        const { angle, ...stroke } = element;
+        return runs.map((points, index) => {
+          const id = index === 0 ? element.id : createElementId();
+          if (!(id in eraseSnapshot)) eraseSnapshot[id] = null;
+          return { ...stroke, id, points };
+        });
+      });
       return {
         ...state,
-        toolActionType: TOOL_ACTION_TYPES.NONE,
         elements: newElements,
-        history: newHistory,
-        index: state.index + 1,
+        selectedElementIds: [],
+        erasingElementIds,
+        eraseSnapshot,
       };
     }
+    case BOARD_ACTIONS.ERASE_UP: {
+      const newElements =
+        state.erasingElementIds.length > 0
+          ? state.elements.filter(
+              (element) => !state.erasingElementIds.includes(element.id)
+            )
+          : state.elements;
+      // A swipe that touched nothing leaves history alone
+      return commitHistoryEntry(
+        {
+          ...state,
+          elements: newElements,
+          selectedElementIds: [],
+          erasingElementIds: [],
+          eraseSnapshot: {},
+        },
+        "Erase",
+        getElementChanges(
+          {
+            ...state.eraseSnapshot,
+            ...getElementsByIds(state.elements, state.erasingElementIds),
+          },
+          newElements
+        )
+      );
+    }
+    case BOARD_ACTIONS.EDIT_TEXT: {
+      const { clientX, clientY } = action.payload;
+      const textElement = findTextElementAt(state.elements, clientX, clientY);
+      return textElement ? startEditingText(state, textElement) : state;
+    }
+    case BOARD_ACTIONS.CHANGE_TEXT: {
+      const { text } = action.payload;
+      const element = state.elements.find(
+        (element) => element.id === state.drawingElementId
+      );
+      // Text left empty is removed rather than kept as an invisible element;
+      // a blank note is still a card. Connectors attached to it follow its
+      // new size.
+      const newElements = updateBoundConnectors(
+        element?.type === TOOL_ITEMS.TEXT && text.trim() === ""
+          ? state.elements.filter(
+              (element) => element.id !== state.drawingElementId
+            )
+          : state.elements.map((element) =>
+              element.id === state.drawingElementId
+                ? { ...element, text }
+                : element
+            ),
+        [state.drawingElementId]
+      );
+      return commitHistoryEntry(
+        {
+          ...state,
+          toolActionType: TOOL_ACTION_TYPES.NONE,
+          elements: newElements,
+          drawingElementId: null,
+          textSnapshot: null,
+        },
+        state.textSnapshot
+          ? "Edit text"
+          : element?.type === TOOL_ITEMS.STICKY
+          ? "Add sticky note"
+          : "Add text",
+        getElementChanges(
+          {
+            ...getElementsByIds(
+              state.elements,
+              getBoundConnectorIds(state.elements, [state.drawingElementId])
+            ),
+            [state.drawingElementId]: state.textSnapshot,
+          },
+          newElements
+        )
+      );
+    }
+    // Connectors touched by the entries, or bound to what they touched, are
+    // routed again afterwards, as what they attach to may have moved since
     case BOARD_ACTIONS.UNDO: {
       if (state.index <= 0) return state;
-      console.log("undo testing ",state.history)
-      // updateCanvas(state.canvasId, state.history[state.index - 1]);
-      // if (state.isUserLoggedIn) {
-      //   updateCanvas(state.canvasId, state.history[state.index - 1]);
-      // }
+      const entry = state.history[state.index - 1];
       return {
         ...state,
-        elements: state.history[state.index - 1],
+        elements: routeBoundConnectors(
+          undoHistoryEntry(state.elements, entry),
+          getHistoryEntryIds([entry])
+        ),
         index: state.index - 1,
+        selectedElementIds: [],
       };
     }
     case BOARD_ACTIONS.REDO: {
-      if (state.index >= state.history.length - 1) return state;
-      // updateCanvas(state.canvasId, state.history[state.index + 1]);
-      // if (state.isUserLoggedIn) {
-      //   updateCanvas(state.canvasId, state.history[state.index + 1]);
-      // }
+      if (state.index >= state.history.length) return state;
+      const entry = state.history[state.index];
       return {
         ...state,
-        elements: state.history[state.index + 1],
+        elements: routeBoundConnectors(
+          redoHistoryEntry(state.elements, entry),
+          getHistoryEntryIds([entry])
+        ),
         index: state.index + 1,
+        selectedElementIds: [],
+      };
+    }
+    case BOARD_ACTIONS.JUMP_TO_HISTORY: {
+      const target = Math.max(
+        0,
+        Math.min(state.history.length, action.payload.index)
+      );
+      let { elements, index } = state;
+      while (index > target) {
+        index--;
+        elements = undoHistoryEntry(elements, state.history[index]);
+      }
+      while (index < target) {
+        elements = redoHistoryEntry(elements, state.history[index]);
+        index++;
+      }
+      return {
+        ...state,
+        elements: routeBoundConnectors(
+          elements,
+          getHistoryEntryIds(
+            state.history.slice(
+              Math.min(index, state.index),
+              Math.max(index, state.index)
+            )
+          )
+        ),
+        index,
+        selectedElementIds: [],
       };
     }
     case BOARD_ACTIONS.SET_INITIAL_ELEMENTS: {
+      const elements = normalizeElements(action.payload.elements);
       return {
         ...state,
-        elements: action.payload.elements,
-        history: [action.payload.elements], 
+        elements,
+        history: [],
+        index: 0,
+        clock: Math.max(state.clock, getMaxVersion(elements)),
       };
     }
-    case BOARD_ACTIONS.SET_CANVAS_ID:
+    case BOARD_ACTIONS.SET_CANVAS_ID: {
+      if (action.payload.canvasId === state.canvasId) return state;
+      // Nothing from the previous canvas should show, or be cached, under
+      // the new id while it loads
       return {
         ...state,
         canvasId: action.payload.canvasId,
+        elements: [],
+        history: [],
+        index: 0,
+        selectedElementIds: [],
+        loadedCanvasId: null,
+        pendingOperations: [],
+        offlineBase: null,
+        syncConflict: null,
       };
-    case BOARD_ACTIONS.SET_CANVAS_ELEMENTS:
+    }
+    case BOARD_ACTIONS.SET_CANVAS_ELEMENTS: {
+      const elements = normalizeElements(action.payload.elements);
       return {
         ...state,
-        elements: action.payload.elements,
+        elements,
+        selectedElementIds: state.selectedElementIds.filter((id) =>
+          elements.some((element) => element.id === id)
+        ),
+        clock: Math.max(state.clock, getMaxVersion(elements)),
       };
+    }
 
-    case BOARD_ACTIONS.SET_HISTORY:
+    case BOARD_ACTIONS.CLEAR_HISTORY:
       return {
         ...state,
-        history: [action.payload.elements],
+        history: [],
+        index: 0,
       };
 
+    case BOARD_ACTIONS.SET_VIEWPORT:
+      return {
+        ...state,
+        viewport: action.payload.viewport,
+      };
+    case BOARD_ACTIONS.PAN_VIEWPORT:
+      return {
+        ...state,
+        viewport: {
+          ...state.viewport,
+          x: state.viewport.x + action.payload.dx,
+          y: state.viewport.y + action.payload.dy,
+        },
+      };
+    case BOARD_ACTIONS.ZOOM_VIEWPORT: {
+      const { scale, screenX, screenY } = action.payload;
+      return {
+        ...state,
+        viewport: zoomViewportAt(
+          state.viewport,
+          state.viewport.zoom * scale,
+          screenX,
+          screenY
+        ),
+      };
+    }
+    case BOARD_ACTIONS.APPLY_REMOTE_OPERATIONS: {
+      // Whatever the local user is drawing or dragging right now stays local
+      // until the gesture ends, when its own update goes out
+      const operations = normalizeOperations(action.payload.operations);
+      const lockedIds = state.transformSnapshot
+        ? Object.keys({
+            ...state.transformSnapshot.elements,
+            ...state.transformSnapshot.boundConnectors,
+          })
+        : [];
+      if (state.drawingElementId !== null) {
+        lockedIds.push(state.drawingElementId);
+      }
+      const { elements: newElements, tombstones } = applyOperations(
+        state.elements,
+        state.tombstones,
+        operations,
+        lockedIds
+      );
+      return {
+        ...state,
+        elements: newElements,
+        tombstones,
+        clock: Math.max(state.clock, ...operations.map(getOperationVersion)),
+        selectedElementIds: state.selectedElementIds.filter((id) =>
+          newElements.some((element) => element.id === id)
+        ),
+      };
+    }
+    case BOARD_ACTIONS.CLEAR_OUTGOING_OPERATIONS:
+      return {
+        ...state,
+        outgoingOperations: state.outgoingOperations.slice(
+          action.payload.count
+        ),
+      };
+    case BOARD_ACTIONS.LOAD_SERVER_ELEMENTS: {
+      const { canvasId, resetHistory } = action.payload;
+      if (canvasId !== state.canvasId) return state;
+      const serverElements = normalizeElements(action.payload.elements);
+      const newState = reconcileServerElements(
+        { ...state, loadedCanvasId: canvasId },
+        serverElements
+      );
+      if (!resetHistory || newState.syncConflict) return newState;
+      return {
+        ...newState,
+        history: [],
+        index: 0,
+      };
+    }
+    case BOARD_ACTIONS.RESTORE_CACHED_CANVAS: {
+      const { canvasId, offlineBase } = action.payload;
+      if (canvasId !== state.canvasId) return state;
+      const pendingOperations = normalizeOperations(
+        action.payload.pendingOperations
+      );
+      const restoredState = {
+        ...state,
+        pendingOperations: [...state.pendingOperations, ...pendingOperations],
+        offlineBase: state.offlineBase ?? offlineBase,
+        clock: Math.max(
+          state.clock,
+          ...pendingOperations.map(getOperationVersion)
+        ),
+      };
+      // The server copy arrived first, so only the unsent changes matter
+      if (state.loadedCanvasId === canvasId) {
+        return pendingOperations.length === 0
+          ? state
+          : reconcileServerElements(restoredState, state.elements);
+      }
+      const elements = normalizeElements(action.payload.elements);
+      return {
+        ...restoredState,
+        elements,
+        history: [],
+        index: 0,
+        loadedCanvasId: canvasId,
+        clock: Math.max(restoredState.clock, getMaxVersion(elements)),
+      };
+    }
+    case BOARD_ACTIONS.RESOLVE_SYNC_CONFLICT: {
+      if (!state.syncConflict) return state;
+      const { serverElements } = state.syncConflict;
+      if (action.payload.keepLocal) {
+        return mergePendingOperations(state, serverElements);
+      }
+      return {
+        ...state,
+        elements: serverElements,
+        history: [],
+        index: 0,
+        selectedElementIds: keepExistingIds(
+          state.selectedElementIds,
+          serverElements
+        ),
+        clock: Math.max(state.clock, getMaxVersion(serverElements)),
+        pendingOperations: [],
+        offlineBase: null,
+        syncConflict: null,
+      };
+    }
+    case BOARD_ACTIONS.SET_CONNECTION_STATUS: {
+      const { isOnline } = action.payload;
+      // Remember which server copy the offline changes start from
+      let offlineBase = state.offlineBase;
+      if (!isOnline && offlineBase === null) {
+        offlineBase = getElementVersionsKey(state.elements);
+      } else if (isOnline && state.pendingOperations.length === 0) {
+        offlineBase = null;
+      }
+      return {
+        ...state,
+        isOnline,
+        offlineBase,
+      };
+    }
+    case BOARD_ACTIONS.QUEUE_OFFLINE_OPERATIONS: {
+      const { count } = action.payload;
+      return {
+        ...state,
+        outgoingOperations: state.outgoingOperations.slice(count),
+        pendingOperations: compactOperations([
+          ...state.pendingOperations,
+          ...state.outgoingOperations.slice(0, count),
+        ]),
+        offlineBase:
+          state.offlineBase ?? getElementVersionsKey(state.elements),
+      };
+    }
+    case BOARD_ACTIONS.IMPORT_ELEMENTS: {
+      const { replace, viewport } = action.payload;
+      const baseOrder = replace ? 0 : getNextElementOrder(state.elements);
+      // Imported elements get fresh ids and stack on top, so a file can be
+      // merged into the board it was saved from without clashing
+      const idMap = new Map(
+        action.payload.elements.map((element) => [
+          element.id,
+          createElementId(),
+        ])
+      );
+      const importedElements = action.payload.elements.map(
+        ({ version, updatedBy, ...element }, index) =>
+          remapConnectorBindings(
+            {
+              ...element,
+              id: idMap.get(element.id),
+              order: baseOrder + index,
+            },
+            idMap
+          )
+      );
+      const newElements = replace
+        ? importedElements
+        : [...state.elements, ...importedElements];
+      // Replacing the board removes everything that was on it
+      const beforeById = replace
+        ? getElementsByIds(
+            state.elements,
+            state.elements.map((element) => element.id)
+          )
+        : {};
+      importedElements.forEach((element) => {
+        beforeById[element.id] = null;
+      });
+      return commitHistoryEntry(
+        {
+          ...state,
+          elements: newElements,
+          selectedElementIds: replace
+            ? []
+            : importedElements.map((element) => element.id),
+          viewport: replace && viewport ? viewport : state.viewport,
+        },
+        action.payload.label,
+        getElementChanges(beforeById, newElements)
+      );
+    }
+    case BOARD_ACTIONS.SET_SAVE_STATUS:
+      return {
+        ...state,
+        saveStatus: action.payload.saveStatus,
+      };
     case BOARD_ACTIONS.SET_USER_LOGIN_STATUS:
       return {
         ...state,
         isUserLoggedIn: action.payload.isUserLoggedIn,
       };
-        default:
+    default:
       return state;
   }
 };
 
+// Loading a board, applying a collaborator's change or replaying offline
+// changes (which queues them itself) isn't something to diff and send out
+const UNSYNCED_ACTIONS = [
+  BOARD_ACTIONS.SET_INITIAL_ELEMENTS,
+  BOARD_ACTIONS.SET_CANVAS_ID,
+  BOARD_ACTIONS.SET_CANVAS_ELEMENTS,
+  BOARD_ACTIONS.APPLY_REMOTE_OPERATIONS,
+  BOARD_ACTIONS.LOAD_SERVER_ELEMENTS,
+  BOARD_ACTIONS.RESTORE_CACHED_CANVAS,
+  BOARD_ACTIONS.RESOLVE_SYNC_CONFLICT,
+];
+
+// Queues an operation for every element a local action added, changed or
+// removed, for BoardProvider to flush to the socket. The changed elements are
+// stamped with the next clock value before they land in state, so the board
+// holds the same versions that went out.
+const syncedBoardReducer = (state, action) => {
+  const newState = boardReducer(state, action);
+  if (
+    newState.elements === state.elements ||
+    UNSYNCED_ACTIONS.includes(action.type)
+  ) {
+    return newState;
+  }
+  const clock = newState.clock + 1;
+  const operations = stampOperations(
+    diffElements(state.elements, newState.elements),
+    clock
+  );
+  if (operations.length === 0) return newState;
+  const stamped = new Map();
+  const tombstones = { ...newState.tombstones };
+  operations.forEach((operation) => {
+    if (operation.type === ELEMENT_OPERATIONS.DELETE) {
+      tombstones[operation.id] = {
+        version: operation.version,
+        updatedBy: operation.updatedBy,
+      };
+    } else {
+      stamped.set(operation.id, operation.element);
+    }
+  });
+  const elements = newState.elements.map(
+    (element) => stamped.get(element.id) || element
+  );
+  return {
+    ...newState,
+    elements,
+    clock,
+    tombstones,
+    outgoingOperations: [...newState.outgoingOperations, ...operations],
+  };
+};
+
+// Actions that finish an edit, after which the board is saved to the server
+const PERSISTED_ACTIONS = [
+  BOARD_ACTIONS.DRAW_UP,
+  BOARD_ACTIONS.ADD_VERTEX,
+  BOARD_ACTIONS.FINISH_VERTICES,
+  BOARD_ACTIONS.CHANGE_TOOL,
+  BOARD_ACTIONS.ERASE_UP,
+  BOARD_ACTIONS.CHANGE_TEXT,
+  BOARD_ACTIONS.UNDO,
+  BOARD_ACTIONS.REDO,
+  BOARD_ACTIONS.JUMP_TO_HISTORY,
+  BOARD_ACTIONS.TRANSFORM_UP,
+  BOARD_ACTIONS.UPDATE_ELEMENTS,
+  BOARD_ACTIONS.DELETE_ELEMENTS,
+  BOARD_ACTIONS.IMPORT_ELEMENTS,
+];
+
+// Bumps saveRevision whenever a finished edit lands in history, which is
+// what BoardProvider watches to schedule an autosave
+const persistedBoardReducer = (state, action) => {
+  const newState = syncedBoardReducer(state, action);
+  if (
+    !PERSISTED_ACTIONS.includes(action.type) ||
+    (newState.history === state.history && newState.index === state.index)
+  ) {
+    return newState;
+  }
+  return {
+    ...newState,
+    saveRevision: newState.saveRevision + 1,
+  };
+};
+
 const isUserLoggedIn = !!localStorage.getItem("whiteboard_user_token");
 
 const initialBoardState = {
   activeToolItem: TOOL_ITEMS.BRUSH,
   toolActionType: TOOL_ACTION_TYPES.NONE,
   elements: [],
-  history: [[]],
+  history: [],
   index: 0,
   canvasId: "",
   isUserLoggedIn: isUserLoggedIn,
+  selectedElementIds: [],
+  selectionBox: null,
+  transformSnapshot: null,
+  viewport: DEFAULT_VIEWPORT,
+  drawingElementId: null,
+  erasingElementIds: [],
+  eraseSnapshot: {},
+  textSnapshot: null,
+  outgoingOperations: [],
+  clock: 0,
+  tombstones: {},
+  saveRevision: 0,
+  saveStatus: SAVE_STATUS.SAVED,
+  isOnline: socket.connected,
+  loadedCanvasId: null,
+  pendingOperations: [],
+  offlineBase: null,
+  syncConflict: null,
 };
 
 
 const BoardProvider = ({ children }) => {
   const [boardState, dispatchBoardAction] = useReducer(
-    boardReducer,
+    persistedBoardReducer,
     initialBoardState
   );
+  const { selectedElementIds, outgoingOperations, saveRevision } = boardState;
+
+  const boardStateRef = useRef(boardState);
+  boardStateRef.current = boardState;
+  const flushTimeoutRef = useRef(null);
+
+  // Local changes are batched for SYNC_THROTTLE_MS so a stroke doesn't emit
+  // on every mousemove
+  useEffect(() => {
+    if (outgoingOperations.length === 0 || flushTimeoutRef.current) return;
+    flushTimeoutRef.current = setTimeout(() => {
+      flushTimeoutRef.current = null;
+      const {
+        canvasId,
+        outgoingOperations: pending,
+        syncConflict,
+      } = boardStateRef.current;
+      // Held back until the server is reachable and any conflict with its
+      // copy is resolved
+      if (!socket.connected || syncConflict) {
+        dispatchBoardAction({
+          type: BOARD_ACTIONS.QUEUE_OFFLINE_OPERATIONS,
+          payload: {
+            count: pending.length,
+          },
+        });
+        return;
+      }
+      if (canvasId) {
+        socket.emit("elementOperations", {
+          canvasId,
+          operations: compactOperations(pending),
+        });
+      }
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.CLEAR_OUTGOING_OPERATIONS,
+        payload: {
+          count: pending.length,
+        },
+      });
+    }, SYNC_THROTTLE_MS);
+  }, [outgoingOperations]);
+
+  useEffect(() => {
+    return () => clearTimeout(flushTimeoutRef.current);
+  }, []);
+
+  useEffect(() => {
+    function handleConnect() {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.SET_CONNECTION_STATUS,
+        payload: {
+          isOnline: true,
+        },
+      });
+    }
+    function handleDisconnect() {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.SET_CONNECTION_STATUS,
+        payload: {
+          isOnline: false,
+        },
+      });
+    }
+    socket.on("connect", handleConnect);
+    socket.on("disconnect", handleDisconnect);
+    return () => {
+      socket.off("connect", handleConnect);
+      socket.off("disconnect", handleDisconnect);
+    };
+  }, []);
+
+  // Every loaded canvas is mirrored to IndexedDB, at most once per
+  // OFFLINE_CACHE_THROTTLE_MS, so it can be opened and edited without the
+  // server. Writes are keyed by canvas so switching boards loses nothing.
+  const { canvasId, loadedCanvasId, elements, pendingOperations, offlineBase } =
+    boardState;
+  const cacheWritesRef = useRef(new Map());
+  const cacheTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    if (!canvasId || loadedCanvasId !== canvasId) return;
+    cacheWritesRef.current.set(canvasId, {
+      canvasId,
+      elements,
+      pendingOperations,
+      offlineBase,
+    });
+    if (cacheTimeoutRef.current) return;
+    cacheTimeoutRef.current = setTimeout(() => {
+      cacheTimeoutRef.current = null;
+      const writes = [...cacheWritesRef.current.values()];
+      cacheWritesRef.current.clear();
+      writes.forEach((canvas) => {
+        saveCachedCanvas(canvas).catch((error) => {
+          console.error("Error caching canvas:", error);
+        });
+      });
+    }, OFFLINE_CACHE_THROTTLE_MS);
+  }, [canvasId, loadedCanvasId, elements, pendingOperations, offlineBase]);
+
+  useEffect(() => {
+    return () => clearTimeout(cacheTimeoutRef.current);
+  }, []);
+
+  const canvasSaverRef = useRef(null);
+  if (canvasSaverRef.current === null) {
+    canvasSaverRef.current = createCanvasSaver((saveStatus) => {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.SET_SAVE_STATUS,
+        payload: {
+          saveStatus,
+        },
+      });
+    });
+  }
+
+  // Changes made offline are saved once they have been reconciled with the
+  // server copy, which bumps saveRevision again
+  useEffect(() => {
+    if (saveRevision === 0) return;
+    const {
+      canvasId,
+      elements,
+      isUserLoggedIn,
+      isOnline,
+      pendingOperations,
+    } = boardStateRef.current;
+    if (!canvasId || !isUserLoggedIn) return;
+    if (!isOnline || pendingOperations.length > 0) return;
+    canvasSaverRef.current.schedule(canvasId, elements);
+  }, [saveRevision]);
+
+  // A save retried after reconnecting could overwrite newer work on the
+  // server, so the reconnect reconciliation takes over instead
+  const { isOnline } = boardState;
+  useEffect(() => {
+    if (!isOnline) {
+      canvasSaverRef.current.cancel();
+    }
+  }, [isOnline]);
 
-  // Fetch elements from the database on component mount
-  // useEffect(() => {
-  //   // Move the API call to utils/api.js
-  //   fetchInitialCanvasElements(boardState.canvasId)
-  //     .then((elements) => {
-  //       dispatchBoardAction({
-  //         type: BOARD_ACTIONS.SET_INITIAL_ELEMENTS,
-  //         payload: { elements },
-  //       });
-  //     })
-  //     .catch((error) => {
-  //       console.error("Error fetching initial canvas elements:", error);
-  //       // Optionally handle the error, e.g., set a default state or display an error message
-  //     });
-  // }, []); // Empty dependency array ensures this runs only once on mount
+  // Retry as soon as the connection comes back, and warn before closing the
+  // tab while a save is still outstanding
+  useEffect(() => {
+    const canvasSaver = canvasSaverRef.current;
+    function handleOnline() {
+      canvasSaver.flush();
+    }
+    function handleBeforeUnload(event) {
+      if (!canvasSaver.hasPendingChanges()) return;
+      event.preventDefault();
+      event.returnValue = "";
+    }
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("beforeunload", handleBeforeUnload);
+      canvasSaver.dispose();
+    };
+  }, []);
 
   const changeToolHandler = (tool) => {
     dispatchBoardAction({
@@ -235,9 +1351,58 @@ const BoardProvider = ({ children }) => {
     });
   };
 
+  // Elements live in board coordinates, so pointer positions are mapped
+  // through the current pan and zoom before they reach the reducer
+  const getBoardCoordinates = (event) => {
+    const { x, y } = screenToBoard(
+      event.clientX,
+      event.clientY,
+      boardState.viewport
+    );
+    return { clientX: x, clientY: y };
+  };
+
+  // Stylus pressure is recorded for brush strokes; mice and fingers report a
+  // fixed value, so their strokes keep the simulated pressure
+  const getPointerPressure = (event) =>
+    event.pointerType === "pen" ? event.pressure : undefined;
+
+  const eraseAt = (clientX, clientY, toolboxState) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.ERASE,
+      payload: {
+        clientX,
+        clientY,
+        mode: toolboxState[TOOL_ITEMS.ERASER].mode,
+        radius: toolboxState[TOOL_ITEMS.ERASER].size,
+      },
+    });
+  };
+
   const boardMouseDownHandler = (event, toolboxState) => {
     if (boardState.toolActionType === TOOL_ACTION_TYPES.WRITING) return;
-    const { clientX, clientY } = event;
+    const { clientX, clientY } = getBoardCoordinates(event);
+    if (boardState.toolActionType === TOOL_ACTION_TYPES.PLACING_VERTICES) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.ADD_VERTEX,
+        payload: {
+          clientX,
+          clientY,
+        },
+      });
+      return;
+    }
+    if (boardState.activeToolItem === TOOL_ITEMS.SELECT) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.SELECT_DOWN,
+        payload: {
+          clientX,
+          clientY,
+          shiftKey: event.shiftKey,
+        },
+      });
+      return;
+    }
     if (boardState.activeToolItem === TOOL_ITEMS.ERASER) {
       dispatchBoardAction({
         type: BOARD_ACTIONS.CHANGE_ACTION_TYPE,
@@ -245,6 +1410,7 @@ const BoardProvider = ({ children }) => {
           actionType: TOOL_ACTION_TYPES.ERASING,
         },
       });
+      eraseAt(clientX, clientY, toolboxState);
       return;
     }
     dispatchBoardAction({
@@ -252,27 +1418,56 @@ const BoardProvider = ({ children }) => {
       payload: {
         clientX,
         clientY,
-        stroke: toolboxState[boardState.activeToolItem]?.stroke,
-        fill: toolboxState[boardState.activeToolItem]?.fill,
-        size: toolboxState[boardState.activeToolItem]?.size,
+        pressure: getPointerPressure(event),
+        style: toolboxState[boardState.activeToolItem],
       },
     });
   };
 
-  const boardMouseMoveHandler = (event) => {
+  const boardMouseMoveHandler = (event, toolboxState) => {
     if (boardState.toolActionType === TOOL_ACTION_TYPES.WRITING) return;
-    const { clientX, clientY } = event;
-    if (boardState.toolActionType === TOOL_ACTION_TYPES.DRAWING) {
+    const { clientX, clientY } = getBoardCoordinates(event);
+    if (
+      boardState.toolActionType === TOOL_ACTION_TYPES.DRAWING ||
+      boardState.toolActionType === TOOL_ACTION_TYPES.PLACING_VERTICES
+    ) {
       dispatchBoardAction({
         type: BOARD_ACTIONS.DRAW_MOVE,
         payload: {
           clientX,
           clientY,
+          pressure: getPointerPressure(event),
         },
       });
     } else if (boardState.toolActionType === TOOL_ACTION_TYPES.ERASING) {
+      eraseAt(clientX, clientY, toolboxState);
+    } else if (boardState.toolActionType === TOOL_ACTION_TYPES.SELECTING) {
       dispatchBoardAction({
-        type: BOARD_ACTIONS.ERASE,
+        type: BOARD_ACTIONS.SELECT_MOVE,
+        payload: {
+          clientX,
+          clientY,
+        },
+      });
+    } else if (boardState.toolActionType === TOOL_ACTION_TYPES.MOVING) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.MOVE_ELEMENTS,
+        payload: {
+          clientX,
+          clientY,
+        },
+      });
+    } else if (boardState.toolActionType === TOOL_ACTION_TYPES.RESIZING) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.RESIZE_ELEMENT,
+        payload: {
+          clientX,
+          clientY,
+        },
+      });
+    } else if (boardState.toolActionType === TOOL_ACTION_TYPES.ROTATING) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.ROTATE_ELEMENT,
         payload: {
           clientX,
           clientY,
@@ -282,11 +1477,33 @@ const BoardProvider = ({ children }) => {
   };
 
   const boardMouseUpHandler = () => {
-    if (boardState.toolActionType === TOOL_ACTION_TYPES.WRITING) return;
+    // Polygons and polylines carry on between clicks until they are finished
+    if (
+      boardState.toolActionType === TOOL_ACTION_TYPES.WRITING ||
+      boardState.toolActionType === TOOL_ACTION_TYPES.PLACING_VERTICES
+    ) {
+      return;
+    }
     if (boardState.toolActionType === TOOL_ACTION_TYPES.DRAWING) {
       dispatchBoardAction({
         type: BOARD_ACTIONS.DRAW_UP,
       });
+    } else if (boardState.toolActionType === TOOL_ACTION_TYPES.ERASING) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.ERASE_UP,
+      });
+    } else if (
+      boardState.toolActionType === TOOL_ACTION_TYPES.MOVING ||
+      boardState.toolActionType === TOOL_ACTION_TYPES.RESIZING ||
+      boardState.toolActionType === TOOL_ACTION_TYPES.ROTATING
+    ) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.TRANSFORM_UP,
+      });
+    } else if (boardState.toolActionType === TOOL_ACTION_TYPES.SELECTING) {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.SELECT_UP,
+      });
     }
     dispatchBoardAction({
       type: BOARD_ACTIONS.CHANGE_ACTION_TYPE,
@@ -296,6 +1513,28 @@ const BoardProvider = ({ children }) => {
     });
   };
 
+  const finishVerticesHandler = useCallback(() => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.FINISH_VERTICES,
+    });
+  }, []);
+
+  const boardDoubleClickHandler = (event) => {
+    if (boardState.toolActionType === TOOL_ACTION_TYPES.WRITING) return;
+    if (boardState.toolActionType === TOOL_ACTION_TYPES.PLACING_VERTICES) {
+      finishVerticesHandler();
+      return;
+    }
+    const { clientX, clientY } = getBoardCoordinates(event);
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.EDIT_TEXT,
+      payload: {
+        clientX,
+        clientY,
+      },
+    });
+  };
+
   const textAreaBlurHandler = (text) => {
     dispatchBoardAction({
       type: BOARD_ACTIONS.CHANGE_TEXT,
@@ -305,6 +1544,118 @@ const BoardProvider = ({ children }) => {
     });
   };
 
+  const getSelectedElements = () =>
+    boardState.elements.filter((element) =>
+      selectedElementIds.includes(element.id)
+    );
+
+  const updateElements = (elements, label) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.UPDATE_ELEMENTS,
+      payload: {
+        elements,
+        label,
+      },
+    });
+  };
+
+  const alignSelectedHandler = (alignType) => {
+    if (selectedElementIds.length < 2) return;
+    updateElements(alignElements(getSelectedElements(), alignType), "Align");
+  };
+
+  const distributeSelectedHandler = (distributeType) => {
+    if (selectedElementIds.length < 3) return;
+    updateElements(
+      distributeElements(getSelectedElements(), distributeType),
+      "Distribute"
+    );
+  };
+
+  // Sets a style option on the selected elements of the given types only,
+  // e.g. a font on text and notes, or a card color on notes
+  const changeSelectedStyleHandler = (types, option, value) => {
+    const styledElements = getSelectedElements().filter((element) =>
+      types.includes(element.type)
+    );
+    if (styledElements.length === 0) return;
+    updateElements(
+      styledElements.map((element) => ({ ...element, [option]: value })),
+      "Change style"
+    );
+  };
+
+  const deleteSelectedHandler = useCallback(() => {
+    if (selectedElementIds.length === 0) return;
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.DELETE_ELEMENTS,
+      payload: {
+        ids: selectedElementIds,
+      },
+    });
+  }, [selectedElementIds]);
+
+  const applyRemoteOperations = useCallback((operations) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.APPLY_REMOTE_OPERATIONS,
+      payload: {
+        operations,
+      },
+    });
+  }, []);
+
+  const panViewportHandler = useCallback((dx, dy) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.PAN_VIEWPORT,
+      payload: {
+        dx,
+        dy,
+      },
+    });
+  }, []);
+
+  const zoomViewportHandler = useCallback((scale, screenX, screenY) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.ZOOM_VIEWPORT,
+      payload: {
+        scale,
+        screenX,
+        screenY,
+      },
+    });
+  }, []);
+
+  const zoomToFitHandler = () => {
+    const viewport =
+      boardState.elements.length > 0
+        ? getViewportToFit(
+            getElementsBoundingBox(boardState.elements),
+            window.innerWidth,
+            window.innerHeight
+          )
+        : DEFAULT_VIEWPORT;
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.SET_VIEWPORT,
+      payload: {
+        viewport,
+      },
+    });
+  };
+
+  const resetZoomHandler = () => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.SET_VIEWPORT,
+      payload: {
+        viewport: zoomViewportAt(
+          boardState.viewport,
+          1,
+          window.innerWidth / 2,
+          window.innerHeight / 2
+        ),
+      },
+    });
+  };
+
   const boardUndoHandler = useCallback(() => {
     dispatchBoardAction({
       type: BOARD_ACTIONS.UNDO,
@@ -317,6 +1668,15 @@ const BoardProvider = ({ children }) => {
     });
   }, []);
 
+  const jumpToHistoryHandler = (index) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.JUMP_TO_HISTORY,
+      payload: {
+        index,
+      },
+    });
+  };
+
   const setCanvasId = (canvasId) => {
     dispatchBoardAction({
       type: BOARD_ACTIONS.SET_CANVAS_ID,
@@ -335,14 +1695,93 @@ const BoardProvider = ({ children }) => {
     });
   };
     // console.log("hello canvas")
-  const setHistory = (elements) => {
+  const clearHistory = () => {
     dispatchBoardAction({
-      type: BOARD_ACTIONS.SET_HISTORY,
+      type: BOARD_ACTIONS.CLEAR_HISTORY,
+    });
+  };
+
+  const loadServerElements = useCallback(
+    (canvasId, elements, resetHistory = false) => {
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.LOAD_SERVER_ELEMENTS,
+        payload: {
+          canvasId,
+          elements,
+          resetHistory,
+        },
+      });
+    },
+    []
+  );
+
+  const restoreCachedCanvas = useCallback((canvas) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.RESTORE_CACHED_CANVAS,
+      payload: {
+        canvasId: canvas.canvasId,
+        elements: canvas.elements,
+        pendingOperations: canvas.pendingOperations ?? [],
+        offlineBase: canvas.offlineBase ?? null,
+      },
+    });
+  }, []);
+
+  const importElementsHandler = (elements, { replace, viewport }) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.IMPORT_ELEMENTS,
       payload: {
         elements,
+        replace,
+        viewport,
+        label: "Import",
       },
     });
-  };  
+  };
+
+  // Pasted elements are added like an imported file, centered on the point
+  const pasteElementsHandler = useCallback(
+    (elements, point, label = "Paste") => {
+      const { minX, minY, maxX, maxY } = getElementsBoundingBox(elements);
+      const dx = point.x - (minX + maxX) / 2;
+      const dy = point.y - (minY + maxY) / 2;
+      dispatchBoardAction({
+        type: BOARD_ACTIONS.IMPORT_ELEMENTS,
+        payload: {
+          elements: elements.map((element) => moveElement(element, dx, dy)),
+          replace: false,
+          label,
+        },
+      });
+    },
+    []
+  );
+
+  const duplicateSelectedHandler = useCallback(() => {
+    const selectedElements = boardState.elements.filter((element) =>
+      selectedElementIds.includes(element.id)
+    );
+    if (selectedElements.length === 0) return;
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.IMPORT_ELEMENTS,
+      payload: {
+        elements: selectedElements.map((element) =>
+          moveElement(element, DUPLICATE_OFFSET, DUPLICATE_OFFSET)
+        ),
+        replace: false,
+        label: "Duplicate",
+      },
+    });
+  }, [boardState.elements, selectedElementIds]);
+
+  const resolveSyncConflict = (keepLocal) => {
+    dispatchBoardAction({
+      type: BOARD_ACTIONS.RESOLVE_SYNC_CONFLICT,
+      payload: {
+        keepLocal,
+      },
+    });
+  };
 
   const setUserLoginStatus = (isUserLoggedIn) => {
     dispatchBoardAction({
@@ -356,19 +1795,48 @@ const BoardProvider = ({ children }) => {
   const boardContextValue = {
     activeToolItem: boardState.activeToolItem,
     elements: boardState.elements,
+    history: boardState.history,
+    historyIndex: boardState.index,
     toolActionType: boardState.toolActionType,
     canvasId: boardState.canvasId,
     isUserLoggedIn: boardState.isUserLoggedIn,
+    selectedElementIds,
+    drawingElementId: boardState.drawingElementId,
+    erasingElementIds: boardState.erasingElementIds,
+    selectionBox: boardState.selectionBox,
+    viewport: boardState.viewport,
+    saveStatus: boardState.saveStatus,
+    isOnline,
+    hasPendingOperations: boardState.pendingOperations.length > 0,
+    hasSyncConflict: !!boardState.syncConflict,
     changeToolHandler,
     boardMouseDownHandler,
     boardMouseMoveHandler,
     boardMouseUpHandler,
+    boardDoubleClickHandler,
+    finishVertices: finishVerticesHandler,
     textAreaBlurHandler,
+    changeSelectedStyle: changeSelectedStyleHandler,
+    alignSelected: alignSelectedHandler,
+    distributeSelected: distributeSelectedHandler,
+    deleteSelected: deleteSelectedHandler,
+    panViewport: panViewportHandler,
+    zoomViewport: zoomViewportHandler,
+    zoomToFit: zoomToFitHandler,
+    resetZoom: resetZoomHandler,
+    importElements: importElementsHandler,
+    pasteElements: pasteElementsHandler,
+    duplicateSelected: duplicateSelectedHandler,
     undo: boardUndoHandler,
     redo: boardRedoHandler,
-    setCanvasId, 
+    jumpToHistory: jumpToHistoryHandler,
+    setCanvasId,
     setElements,
-    setHistory,
+    clearHistory,
+    applyRemoteOperations,
+    loadServerElements,
+    restoreCachedCanvas,
+    resolveSyncConflict,
     setUserLoginStatus
   };
 
@@ -0,0 +1,239 @@
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import presenceContext from "./presence-context";
+import boardContext from "./board-context";
+import {
+  PRESENCE_ACTIONS,
+  PRESENCE_HEARTBEAT_MS,
+  PRESENCE_IDLE_MS,
+  PRESENCE_THROTTLE_MS,
+  PRESENCE_TIMEOUT_MS,
+} from "../constants";
+import socket from "../utils/socket";
+import {
+  CLIENT_ID,
+  getClientIdentity,
+  getDisplayName,
+  saveDisplayName,
+} from "../utils/client";
+
+const isSamePointer = (a, b) => a?.x === b?.x && a?.y === b?.y;
+
+const presenceReducer = (state, action) => {
+  switch (action.type) {
+    case PRESENCE_ACTIONS.UPDATE_PARTICIPANT: {
+      const { participant, now } = action.payload;
+      const previous = state.participants[participant.clientId];
+      const isActive =
+        !previous || !isSamePointer(previous.pointer, participant.pointer);
+      return {
+        ...state,
+        participants: {
+          ...state.participants,
+          [participant.clientId]: {
+            ...participant,
+            lastSeenAt: now,
+            lastActiveAt: isActive ? now : previous.lastActiveAt,
+            isIdle: isActive ? false : previous.isIdle,
+            hasLeft: false,
+          },
+        },
+      };
+    }
+    case PRESENCE_ACTIONS.REMOVE_PARTICIPANT: {
+      const participant = state.participants[action.payload.clientId];
+      if (!participant) return state;
+      // Kept around for one more refresh so the cursor can fade out
+      return {
+        ...state,
+        participants: {
+          ...state.participants,
+          [participant.clientId]: {
+            ...participant,
+            isIdle: true,
+            hasLeft: true,
+          },
+        },
+      };
+    }
+    case PRESENCE_ACTIONS.REFRESH_PARTICIPANTS: {
+      const { now } = action.payload;
+      let hasChanged = false;
+      const participants = {};
+      Object.values(state.participants).forEach((participant) => {
+        if (
+          participant.hasLeft ||
+          now - participant.lastSeenAt > PRESENCE_TIMEOUT_MS
+        ) {
+          hasChanged = true;
+          return;
+        }
+        const isIdle = now - participant.lastActiveAt > PRESENCE_IDLE_MS;
+        hasChanged = hasChanged || isIdle !== participant.isIdle;
+        participants[participant.clientId] = { ...participant, isIdle };
+      });
+      return hasChanged ? { ...state, participants } : state;
+    }
+    case PRESENCE_ACTIONS.CLEAR_PARTICIPANTS:
+      return {
+        ...state,
+        participants: {},
+      };
+    default:
+      return state;
+  }
+};
+
+const initialPresenceState = {
+  participants: {},
+};
+
+const PresenceProvider = ({ children }) => {
+  const { canvasId } = useContext(boardContext);
+  const [presenceState, dispatchPresenceAction] = useReducer(
+    presenceReducer,
+    initialPresenceState
+  );
+
+  const participantsRef = useRef(presenceState.participants);
+  participantsRef.current = presenceState.participants;
+  const [displayName, setDisplayName] = useState(getDisplayName);
+  // Read through a ref so renaming doesn't rejoin the canvas
+  const displayNameRef = useRef(displayName);
+  displayNameRef.current = displayName;
+  const pointerRef = useRef(null);
+  const emitTimeoutRef = useRef(null);
+
+  const emitPresence = useCallback(() => {
+    if (!canvasId) return;
+    socket.emit("presenceUpdate", {
+      canvasId,
+      ...getClientIdentity(displayNameRef.current),
+      pointer: pointerRef.current,
+    });
+  }, [canvasId]);
+
+  useEffect(() => {
+    if (!canvasId) return;
+
+    const handlePresence = (participant) => {
+      if (participant.clientId === CLIENT_ID) return;
+      // Answer newcomers right away instead of making them wait a heartbeat
+      if (!participantsRef.current[participant.clientId]) {
+        emitPresence();
+      }
+      dispatchPresenceAction({
+        type: PRESENCE_ACTIONS.UPDATE_PARTICIPANT,
+        payload: {
+          participant,
+          now: Date.now(),
+        },
+      });
+    };
+
+    const handleLeave = ({ clientId }) => {
+      dispatchPresenceAction({
+        type: PRESENCE_ACTIONS.REMOVE_PARTICIPANT,
+        payload: {
+          clientId,
+        },
+      });
+    };
+
+    const leaveCanvas = () => {
+      socket.emit("presenceLeave", { canvasId, clientId: CLIENT_ID });
+    };
+
+    socket.on("receivePresence", handlePresence);
+    socket.on("presenceLeave", handleLeave);
+    window.addEventListener("beforeunload", leaveCanvas);
+    emitPresence();
+
+    const heartbeatInterval = setInterval(emitPresence, PRESENCE_HEARTBEAT_MS);
+    const refreshInterval = setInterval(() => {
+      dispatchPresenceAction({
+        type: PRESENCE_ACTIONS.REFRESH_PARTICIPANTS,
+        payload: {
+          now: Date.now(),
+        },
+      });
+    }, 1000);
+
+    return () => {
+      leaveCanvas();
+      socket.off("receivePresence", handlePresence);
+      socket.off("presenceLeave", handleLeave);
+      window.removeEventListener("beforeunload", leaveCanvas);
+      clearInterval(heartbeatInterval);
+      clearInterval(refreshInterval);
+      dispatchPresenceAction({
+        type: PRESENCE_ACTIONS.CLEAR_PARTICIPANTS,
+      });
+    };
+  }, [canvasId, emitPresence]);
+
+  useEffect(() => {
+    return () => clearTimeout(emitTimeoutRef.current);
+  }, []);
+
+  const scheduleEmit = useCallback(() => {
+    if (emitTimeoutRef.current) return;
+    emitTimeoutRef.current = setTimeout(() => {
+      emitTimeoutRef.current = null;
+      emitPresence();
+    }, PRESENCE_THROTTLE_MS);
+  }, [emitPresence]);
+
+  // Pointer positions are in board coordinates, so every collaborator sees
+  // the cursor over the same spot whatever their own pan and zoom
+  const updatePointerHandler = useCallback(
+    (pointer) => {
+      pointerRef.current = pointer;
+      scheduleEmit();
+    },
+    [scheduleEmit]
+  );
+
+  const changeDisplayNameHandler = useCallback(
+    (name) => {
+      saveDisplayName(name);
+      setDisplayName(name);
+      displayNameRef.current = name;
+      scheduleEmit();
+    },
+    [scheduleEmit]
+  );
+
+  const self = useMemo(() => getClientIdentity(displayName), [displayName]);
+  const presenceContextValue = useMemo(
+    () => ({
+      self,
+      participants: Object.values(presenceState.participants),
+      displayName,
+      updatePointer: updatePointerHandler,
+      changeDisplayName: changeDisplayNameHandler,
+    }),
+    [
+      self,
+      presenceState.participants,
+      displayName,
+      updatePointerHandler,
+      changeDisplayNameHandler,
+    ]
+  );
+
+  return (
+    <presenceContext.Provider value={presenceContextValue}>
+      {children}
+    </presenceContext.Provider>
+  );
+};
+
+export default PresenceProvider;
@@ -1,6 +1,17 @@
 import React, { useReducer } from "react";
 import toolboxContext from "./toolbox-context";
-import { COLORS, TOOLBOX_ACTIONS, TOOL_ITEMS } from "../constants";
+import {
+  BRUSH_DEFAULTS,
+  COLORS,
+  CONNECTOR_ROUTINGS,
+  ERASER_DEFAULT_RADIUS,
+  ERASER_MODES,
+  SHAPE_DEFAULTS,
+  STICKY_SIZE,
+  TEXT_DEFAULTS,
+  TOOLBOX_ACTIONS,
+  TOOL_ITEMS,
+} from "../constants";
 
 function toolboxReducer(state, action) {
   switch (action.type) {
@@ -19,6 +30,21 @@ function toolboxReducer(state, action) {
       newState[action.payload.tool].size = action.payload.size;
       return newState;
     }
+    case TOOLBOX_ACTIONS.CHANGE_TOOL_OPTION: {
+      const { tool, option, value } = action.payload;
+      return { ...state, [tool]: { ...state[tool], [option]: value } };
+    }
+    case TOOLBOX_ACTIONS.SET_TOOLBOX_STATE: {
+      // Only settings for tools this board knows about are taken over
+      const newState = { ...state };
+      Object.keys(newState).forEach((tool) => {
+        newState[tool] = {
+          ...newState[tool],
+          ...action.payload.toolboxState[tool],
+        };
+      });
+      return newState;
+    }
     default:
       return state;
   }
@@ -27,28 +53,76 @@ function toolboxReducer(state, action) {
 const initialToolboxState = {
   [TOOL_ITEMS.BRUSH]: {
     stroke: COLORS.BLACK,
+    ...BRUSH_DEFAULTS,
   },
   [TOOL_ITEMS.LINE]: {
     stroke: COLORS.BLACK,
     size: 1,
+    routing: CONNECTOR_ROUTINGS.STRAIGHT,
+    ...SHAPE_DEFAULTS,
   },
   [TOOL_ITEMS.RECTANGLE]: {
     stroke: COLORS.BLACK,
     fill: null,
     size: 1,
+    ...SHAPE_DEFAULTS,
   },
   [TOOL_ITEMS.CIRCLE]: {
     stroke: COLORS.BLACK,
     fill: null,
     size: 1,
+    ...SHAPE_DEFAULTS,
   },
   [TOOL_ITEMS.ARROW]: {
     stroke: COLORS.BLACK,
     size: 1,
+    routing: CONNECTOR_ROUTINGS.STRAIGHT,
+    ...SHAPE_DEFAULTS,
+  },
+  [TOOL_ITEMS.DIAMOND]: {
+    stroke: COLORS.BLACK,
+    fill: null,
+    size: 1,
+    ...SHAPE_DEFAULTS,
+  },
+  [TOOL_ITEMS.TRIANGLE]: {
+    stroke: COLORS.BLACK,
+    fill: null,
+    size: 1,
+    ...SHAPE_DEFAULTS,
+  },
+  [TOOL_ITEMS.STAR]: {
+    stroke: COLORS.BLACK,
+    fill: null,
+    size: 1,
+    ...SHAPE_DEFAULTS,
+  },
+  [TOOL_ITEMS.POLYGON]: {
+    stroke: COLORS.BLACK,
+    fill: null,
+    size: 1,
+    ...SHAPE_DEFAULTS,
+  },
+  [TOOL_ITEMS.POLYLINE]: {
+    stroke: COLORS.BLACK,
+    size: 1,
+    ...SHAPE_DEFAULTS,
   },
   [TOOL_ITEMS.TEXT]: {
     stroke: COLORS.BLACK,
     size: 32,
+    ...TEXT_DEFAULTS,
+  },
+  [TOOL_ITEMS.STICKY]: {
+    stroke: COLORS.BLACK,
+    fill: COLORS.YELLOW,
+    size: 20,
+    ...TEXT_DEFAULTS,
+    width: STICKY_SIZE,
+  },
+  [TOOL_ITEMS.ERASER]: {
+    mode: ERASER_MODES.ELEMENT,
+    size: ERASER_DEFAULT_RADIUS,
   },
 };
 
@@ -88,11 +162,33 @@ const ToolboxProvider = ({ children }) => {
     });
   };
 
+  const changeToolOptionHandler = (tool, option, value) => {
+    dispatchToolboxAction({
+      type: TOOLBOX_ACTIONS.CHANGE_TOOL_OPTION,
+      payload: {
+        tool,
+        option,
+        value,
+      },
+    });
+  };
+
+  const setToolboxStateHandler = (toolboxState) => {
+    dispatchToolboxAction({
+      type: TOOLBOX_ACTIONS.SET_TOOLBOX_STATE,
+      payload: {
+        toolboxState,
+      },
+    });
+  };
+
   const toolboxContextValue = {
     toolboxState,
     changeStroke: changeStrokeHandler,
     changeFill: changeFillHandler,
     changeSize: changeSizeHandler,
+    changeToolOption: changeToolOptionHandler,
+    setToolboxState: setToolboxStateHandler,
   };
 
   return (
@@ -5,17 +5,47 @@ const boardContext = createContext({
   activeToolItem: "",
   toolActionType: "",
   elements: [],
-  history: [[]],
-  index: 0,
+  history: [],
+  historyIndex: 0,
   canvasId: "", 
+  selectedElementIds: [],
+  drawingElementId: null,
+  erasingElementIds: [],
+  selectionBox: null,
+  viewport: { x: 0, y: 0, zoom: 1 },
+  saveStatus: "SAVED",
+  isOnline: true,
+  hasPendingOperations: false,
+  hasSyncConflict: false,
   setElements: () => {},
   boardMouseDownHandler: () => {},
   setCanvasId: () => {},
   changeToolHandler: () => {},
   boardMouseMoveHandler: () => {},
   boardMouseUpHandler: () => {},
+  boardDoubleClickHandler: () => {},
+  finishVertices: () => {},
+  textAreaBlurHandler: () => {},
   setUserLoginStatus: () => {},
-  setHistory: () => {}
+  clearHistory: () => {},
+  applyRemoteOperations: () => {},
+  loadServerElements: () => {},
+  restoreCachedCanvas: () => {},
+  resolveSyncConflict: () => {},
+  changeSelectedStyle: () => {},
+  alignSelected: () => {},
+  distributeSelected: () => {},
+  deleteSelected: () => {},
+  panViewport: () => {},
+  zoomViewport: () => {},
+  zoomToFit: () => {},
+  resetZoom: () => {},
+  importElements: () => {},
+  pasteElements: () => {},
+  duplicateSelected: () => {},
+  undo: () => {},
+  redo: () => {},
+  jumpToHistory: () => {},
 });
 
 
@@ -0,0 +1,11 @@
+import { createContext } from "react";
+
+const presenceContext = createContext({
+  self: null,
+  participants: [],
+  displayName: "",
+  updatePointer: () => {},
+  changeDisplayName: () => {},
+});
+
+export default presenceContext;
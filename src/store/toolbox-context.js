@@ -5,6 +5,8 @@ const toolboxContext = createContext({
   changeStroke: () => {},
   changeFill: () => {},
   changeSize: () => {},
+  changeToolOption: () => {},
+  setToolboxState: () => {},
 });
 
 export default toolboxContext;
@@ -4,36 +4,25 @@ import { BASE_URL } from "../constants";
 
 const API_BASE_URL = BASE_URL + "/api/canvas";
 
-const token = localStorage.getItem('whiteboard_user_token')
-const canvasId = localStorage.getItem('canvas_id')
+// Read on every request so a login or logout after page load is picked up
+const getAuthHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("whiteboard_user_token")}`,
+});
 
 export const updateCanvas = async (canvasId, elements) => {
-  try {
-    const response = await axios.put(
-      `${API_BASE_URL}/update`,
-      { canvasId, elements },
-      {
-        headers: {
-          Authorization: token,
-        },
-      }
-    );
-    // console.log("Canvas updated successfully in the database!", response.data);
-    return response.data;
-  } catch (error) {
-    // console.error("Error updating canvas:", error);
-  }
+  const response = await axios.put(
+    `${API_BASE_URL}/update`,
+    { canvasId, elements },
+    {
+      headers: getAuthHeaders(),
+    }
+  );
+  return response.data;
 };
 
 export const fetchInitialCanvasElements = async (canvasId) => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/load/${canvasId}`, {
-      headers: {
-        Authorization: token,
-      },
-    });
-    return response.data.elements;
-  } catch (error) {
-    console.error("Error fetching initial canvas elements:", error);
-  }
+  const response = await axios.get(`${API_BASE_URL}/load/${canvasId}`, {
+    headers: getAuthHeaders(),
+  });
+  return response.data.elements;
 };
@@ -0,0 +1,134 @@
+import {
+  BOARD_FILE_FORMAT,
+  BOARD_FILE_VERSION,
+  CONNECTOR_ROUTINGS,
+  ERASER_MODES,
+  FILL_STYLES,
+  FONT_FAMILIES,
+  MAX_ZOOM,
+  MIN_ZOOM,
+  STROKE_STYLES,
+  TEXT_ALIGNS,
+} from "../constants";
+import {
+  BRUSH_NUMBER_OPTIONS,
+  isFiniteNumber,
+  normalizeElements,
+} from "./element";
+
+export const serializeBoardFile = ({ elements, viewport, toolboxState }) =>
+  JSON.stringify(
+    {
+      format: BOARD_FILE_FORMAT,
+      version: BOARD_FILE_VERSION,
+      elements,
+      viewport,
+      toolDefaults: toolboxState,
+    },
+    null,
+    2
+  );
+
+const parseViewport = (viewport) =>
+  viewport &&
+  isFiniteNumber(viewport.x) &&
+  isFiniteNumber(viewport.y) &&
+  isFiniteNumber(viewport.zoom)
+    ? {
+        x: viewport.x,
+        y: viewport.y,
+        zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, viewport.zoom)),
+      }
+    : null;
+
+// Keeps only the stroke, fill, size, brush, text, connector, shape and eraser
+// settings, and only when they have the type the toolbox expects
+const parseToolDefaults = (toolDefaults) => {
+  if (!toolDefaults || typeof toolDefaults !== "object") return null;
+  const parsed = {};
+  Object.entries(toolDefaults).forEach(([tool, settings]) => {
+    if (!settings || typeof settings !== "object") return;
+    const { stroke, fill } = settings;
+    parsed[tool] = {};
+    if (typeof stroke === "string") parsed[tool].stroke = stroke;
+    if (typeof fill === "string" || fill === null) parsed[tool].fill = fill;
+    BRUSH_NUMBER_OPTIONS.forEach((option) => {
+      if (isFiniteNumber(settings[option])) {
+        parsed[tool][option] = settings[option];
+      }
+    });
+    ["isHighlighter", "isBold", "isItalic", "isRounded"].forEach((option) => {
+      if (typeof settings[option] === "boolean") {
+        parsed[tool][option] = settings[option];
+      }
+    });
+    if (Object.values(FONT_FAMILIES).includes(settings.fontFamily)) {
+      parsed[tool].fontFamily = settings.fontFamily;
+    }
+    if (Object.values(TEXT_ALIGNS).includes(settings.textAlign)) {
+      parsed[tool].textAlign = settings.textAlign;
+    }
+    if (
+      settings.width === null ||
+      (isFiniteNumber(settings.width) && settings.width > 0)
+    ) {
+      parsed[tool].width = settings.width;
+    }
+    if (Object.values(CONNECTOR_ROUTINGS).includes(settings.routing)) {
+      parsed[tool].routing = settings.routing;
+    }
+    if (isFiniteNumber(settings.roughness) && settings.roughness >= 0) {
+      parsed[tool].roughness = settings.roughness;
+    }
+    if (Object.values(STROKE_STYLES).includes(settings.strokeStyle)) {
+      parsed[tool].strokeStyle = settings.strokeStyle;
+    }
+    if (Object.values(FILL_STYLES).includes(settings.fillStyle)) {
+      parsed[tool].fillStyle = settings.fillStyle;
+    }
+    if (
+      isFiniteNumber(settings.opacity) &&
+      settings.opacity >= 0 &&
+      settings.opacity <= 1
+    ) {
+      parsed[tool].opacity = settings.opacity;
+    }
+    if (Object.values(ERASER_MODES).includes(settings.mode)) {
+      parsed[tool].mode = settings.mode;
+    }
+  });
+  return parsed;
+};
+
+// Reads a .whiteboard.json file, throwing an error with a message fit to show
+// the user when it isn't one this version can open
+export const parseBoardFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (data?.format !== BOARD_FILE_FORMAT || !Array.isArray(data.elements)) {
+    throw new Error("The file is not a whiteboard file.");
+  }
+  if (!isFiniteNumber(data.version) || data.version > BOARD_FILE_VERSION) {
+    throw new Error(
+      "The file was saved by a newer version of the whiteboard and can't be opened."
+    );
+  }
+  const elements = normalizeElements(data.elements);
+  if (elements.length === 0 && data.elements.length > 0) {
+    throw new Error("None of the elements in the file could be read.");
+  }
+  if (elements.length < data.elements.length) {
+    console.warn(
+      `Skipped ${data.elements.length - elements.length} invalid elements while importing.`
+    );
+  }
+  return {
+    elements,
+    viewport: parseViewport(data.viewport),
+    toolDefaults: parseToolDefaults(data.toolDefaults),
+  };
+};
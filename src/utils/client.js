@@ -0,0 +1,34 @@
+import { PRESENCE_COLORS } from "../constants";
+
+// Identifies this browser tab for as long as it's open. Element ids and
+// versions are tagged with it so edits from different collaborators never
+// collide and ties always resolve the same way.
+export const CLIENT_ID = Math.random().toString(36).slice(2, 10);
+
+export const getClientColor = (clientId) => {
+  const hash = [...clientId].reduce(
+    (sum, char) => (sum * 31 + char.charCodeAt(0)) % 1000003,
+    0
+  );
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
+
+// The name shown to collaborators is only ever one the user typed in
+// themselves; nothing from their account is shared
+export const getDisplayName = () =>
+  localStorage.getItem("whiteboard_display_name") ?? "";
+
+export const saveDisplayName = (name) => {
+  if (name.trim()) {
+    localStorage.setItem("whiteboard_display_name", name);
+  } else {
+    localStorage.removeItem("whiteboard_display_name");
+  }
+};
+
+// What collaborators see next to this tab's cursor
+export const getClientIdentity = (displayName) => ({
+  clientId: CLIENT_ID,
+  name: displayName.trim() || "Guest",
+  color: getClientColor(CLIENT_ID),
+});
@@ -0,0 +1,23 @@
+import { CLIPBOARD_FORMAT } from "../constants";
+import { normalizeElements } from "./element";
+
+// Copied elements go on the system clipboard as JSON text, so they can be
+// pasted into another board or tab
+export const serializeClipboardElements = (elements) =>
+  JSON.stringify({ format: CLIPBOARD_FORMAT, elements });
+
+// Returns the elements in copied clipboard text, or null when the text is
+// anything else and should be pasted as text
+export const parseClipboardElements = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  if (data?.format !== CLIPBOARD_FORMAT || !Array.isArray(data.elements)) {
+    return null;
+  }
+  const elements = normalizeElements(data.elements);
+  return elements.length > 0 ? elements : null;
+};
@@ -0,0 +1,267 @@
+import {
+  BINDABLE_TOOL_TYPES,
+  BINDING_DISTANCE,
+  BINDING_GAP,
+  BOX_SHAPE_TOOL_TYPES,
+  CONNECTOR_ROUTINGS,
+  CONNECTOR_TOOL_TYPES,
+  TOOL_ITEMS,
+} from "../constants";
+import {
+  getDistanceToOutline,
+  getElementBounds,
+  getElementCenter,
+  getElementOutline,
+} from "./element";
+import { rotatePoint } from "./math";
+
+// A connector is a line or arrow whose ends may be bound to other elements.
+// The bindings are stored on the connector as startBindingId and
+// endBindingId, and its x1, y1, x2 and y2 always hold where the ends were
+// last routed to, so a board drawn by a client that doesn't know about
+// bindings still shows the connector where it was.
+
+export const isConnector = (element) =>
+  CONNECTOR_TOOL_TYPES.includes(element.type);
+
+const isBindable = (element) => BINDABLE_TOOL_TYPES.includes(element.type);
+
+// Near the element's outline, inside or out, so a line drawn within a shape
+// or across a note stays free
+const isPointNearBindable = (element, x, y) =>
+  getDistanceToOutline(element, x, y) <= BINDING_DISTANCE;
+
+// The topmost element a connector end at the point would attach to
+export const getBindableElementAt = (elements, x, y, excludedIds = []) =>
+  [...elements]
+    .reverse()
+    .find(
+      (element) =>
+        isBindable(element) &&
+        !excludedIds.includes(element.id) &&
+        isPointNearBindable(element, x, y)
+    ) ?? null;
+
+// Connectors other than the given elements that are bound to any of them
+export const getBoundConnectorIds = (elements, ids) =>
+  elements
+    .filter(
+      (element) =>
+        isConnector(element) &&
+        !ids.includes(element.id) &&
+        (ids.includes(element.startBindingId) ||
+          ids.includes(element.endBindingId))
+    )
+    .map((element) => element.id);
+
+// Where the connector's ends are on the board, rotation included
+const getConnectorEnds = (connector) => {
+  const { x1, y1, x2, y2, angle } = connector;
+  if (!angle) {
+    return [
+      { x: x1, y: y1 },
+      { x: x2, y: y2 },
+    ];
+  }
+  const center = getElementCenter(connector);
+  return [
+    rotatePoint(x1, y1, center.x, center.y, angle),
+    rotatePoint(x2, y2, center.x, center.y, angle),
+  ];
+};
+
+// How far along the ray from center in direction (dx, dy) it last crosses an
+// edge of the polygon, in multiples of the direction
+const getPolygonExit = (vertices, center, dx, dy) =>
+  vertices.reduce((furthest, vertex, index) => {
+    const next = vertices[(index + 1) % vertices.length];
+    const edgeX = next.x - vertex.x,
+      edgeY = next.y - vertex.y;
+    const denominator = dx * edgeY - dy * edgeX;
+    if (!denominator) return furthest;
+    const offsetX = vertex.x - center.x,
+      offsetY = vertex.y - center.y;
+    const t = (offsetX * edgeY - offsetY * edgeX) / denominator;
+    const u = (offsetX * dy - offsetY * dx) / denominator;
+    return u >= 0 && u <= 1 && t > furthest ? t : furthest;
+  }, 0);
+
+// Where a ray from the element's center leaves its outline, BINDING_GAP
+// outside it so an arrowhead doesn't overlap the stroke. Circles are treated
+// as ellipses, diamonds, triangles, stars and rounded rectangles by their
+// edges, and everything else as its box.
+const getOutlinePoint = (element, direction) => {
+  const center = getElementCenter(element);
+  const angle = element.angle || 0;
+  const { x: dx, y: dy } = rotatePoint(direction.x, direction.y, 0, 0, -angle);
+  if (!dx && !dy) return center;
+  const { minX, minY, maxX, maxY } = getElementBounds(element);
+  const radiusX = (maxX - minX) / 2 + BINDING_GAP;
+  const radiusY = (maxY - minY) / 2 + BINDING_GAP;
+  let scale;
+  if (element.type === TOOL_ITEMS.CIRCLE) {
+    scale = 1 / Math.hypot(dx / radiusX, dy / radiusY);
+  } else if (BOX_SHAPE_TOOL_TYPES.includes(element.type) || element.isRounded) {
+    scale =
+      getPolygonExit(getElementOutline(element).points, center, dx, dy) +
+      BINDING_GAP / Math.hypot(dx, dy);
+  } else {
+    scale = Math.min(radiusX / Math.abs(dx), radiusY / Math.abs(dy));
+  }
+  return rotatePoint(
+    center.x + dx * scale,
+    center.y + dy * scale,
+    center.x,
+    center.y,
+    angle
+  );
+};
+
+// A straight end points at the other end; an elbow end leaves the side
+// facing it, along the elbow's first or last axis
+const getAttachedPoint = (element, target, isHorizontal) => {
+  const center = getElementCenter(element);
+  const dx = target.x - center.x,
+    dy = target.y - center.y;
+  if (isHorizontal === null) return getOutlinePoint(element, { x: dx, y: dy });
+  return getOutlinePoint(
+    element,
+    isHorizontal ? { x: dx < 0 ? -1 : 1, y: 0 } : { x: 0, y: dy < 0 ? -1 : 1 }
+  );
+};
+
+// Moves the bound ends of a connector onto the outlines of the elements they
+// are bound to, each facing what the other end is attached to. Bindings to
+// elements no longer on the board are left alone, so undoing a delete
+// reattaches them. A routed connector is never rotated, as its ends are
+// placed directly on the board.
+export const routeConnector = (connector, elements) => {
+  const findBound = (id) =>
+    id
+      ? elements.find((element) => element.id === id && isBindable(element)) ??
+        null
+      : null;
+  const start = findBound(connector.startBindingId);
+  const end = findBound(connector.endBindingId);
+  if (!start && !end) {
+    // A free elbow takes its axis from its ends again
+    if (connector.isVerticalElbow === undefined) return connector;
+    const { isVerticalElbow, ...free } = connector;
+    return free;
+  }
+  const [freeStart, freeEnd] = getConnectorEnds(connector);
+  const startTarget = start ? getElementCenter(start) : freeStart;
+  const endTarget = end ? getElementCenter(end) : freeEnd;
+  // An elbow runs along the axis the two sides are further apart on, and
+  // keeps that axis even when attaching to the sides brings the ends closer
+  // together along it than across
+  const isElbow = connector.routing === CONNECTOR_ROUTINGS.ELBOW;
+  const isHorizontal = isElbow
+    ? Math.abs(endTarget.x - startTarget.x) >=
+      Math.abs(endTarget.y - startTarget.y)
+    : null;
+  const startPoint = start
+    ? getAttachedPoint(start, endTarget, isHorizontal)
+    : freeStart;
+  const endPoint = end
+    ? getAttachedPoint(end, startTarget, isHorizontal)
+    : freeEnd;
+  const isVerticalElbow = isElbow ? !isHorizontal : connector.isVerticalElbow;
+  if (
+    !connector.angle &&
+    startPoint.x === connector.x1 &&
+    startPoint.y === connector.y1 &&
+    endPoint.x === connector.x2 &&
+    endPoint.y === connector.y2 &&
+    isVerticalElbow === connector.isVerticalElbow
+  ) {
+    return connector;
+  }
+  const { angle, ...unrotated } = connector;
+  return {
+    ...unrotated,
+    x1: startPoint.x,
+    y1: startPoint.y,
+    x2: endPoint.x,
+    y2: endPoint.y,
+    ...(isElbow && { isVerticalElbow }),
+  };
+};
+
+// Binds each end of a connector to the element it now lies on, keeping the
+// current one while the end is still near it. An element takes only one end.
+const bindConnectorEnds = (connector, elements) => {
+  const [startPoint, endPoint] = getConnectorEnds(connector);
+  const bindEnd = (point, bindingId, excludedId) => {
+    const current = elements.find((element) => element.id === bindingId);
+    if (current && isPointNearBindable(current, point.x, point.y)) {
+      return bindingId;
+    }
+    return (
+      getBindableElementAt(elements, point.x, point.y, [
+        connector.id,
+        excludedId,
+      ])?.id ?? null
+    );
+  };
+  const startBindingId = bindEnd(
+    startPoint,
+    connector.startBindingId,
+    connector.endBindingId
+  );
+  const endBindingId = bindEnd(
+    endPoint,
+    connector.endBindingId,
+    startBindingId
+  );
+  if (
+    startBindingId === (connector.startBindingId ?? null) &&
+    endBindingId === (connector.endBindingId ?? null)
+  ) {
+    return connector;
+  }
+  return { ...connector, startBindingId, endBindingId };
+};
+
+// Routes again every connector in changedIds or bound to an element in it,
+// keeping the bindings it has. Undo and redo use this alone: the bindings
+// they write back are the ones to keep, but the elements at the other end may
+// have been moved by someone else since.
+export const routeBoundConnectors = (elements, changedIds) =>
+  elements.map((element) =>
+    isConnector(element) &&
+    [element.id, element.startBindingId, element.endBindingId].some((id) =>
+      changedIds.includes(id)
+    )
+      ? routeConnector(element, elements)
+      : element
+  );
+
+// Keeps connectors attached after the elements in changedIds were edited.
+// Connectors edited themselves are bound to whatever their ends now lie on,
+// and every connector bound to an edited element is routed again.
+export const updateBoundConnectors = (elements, changedIds) =>
+  routeBoundConnectors(
+    elements.map((element) =>
+      isConnector(element) && changedIds.includes(element.id)
+        ? bindConnectorEnds(element, elements)
+        : element
+    ),
+    changedIds
+  );
+
+// Copies get new ids, so a copied connector keeps only its bindings to
+// elements copied along with it, renamed to the copies' ids
+export const remapConnectorBindings = (element, idMap) => {
+  if (
+    !isConnector(element) ||
+    (!element.startBindingId && !element.endBindingId)
+  ) {
+    return element;
+  }
+  return {
+    ...element,
+    startBindingId: idMap.get(element.startBindingId) ?? null,
+    endBindingId: idMap.get(element.endBindingId) ?? null,
+  };
+};
@@ -0,0 +1,209 @@
+import {
+  BINDING_DISTANCE,
+  BINDING_GAP,
+  CONNECTOR_ROUTINGS,
+  TOOL_ITEMS,
+} from "../constants";
+import {
+  getBindableElementAt,
+  routeConnector,
+  updateBoundConnectors,
+} from "./connector";
+import { getConnectorPoints } from "./element";
+
+const box = (id, x1, y1, type = TOOL_ITEMS.RECTANGLE) => ({
+  id,
+  type,
+  x1,
+  y1,
+  x2: x1 + 100,
+  y2: y1 + 100,
+});
+
+const arrow = (fields = {}) => ({
+  id: "c",
+  type: TOOL_ITEMS.ARROW,
+  x1: 0,
+  y1: 0,
+  x2: 0,
+  y2: 0,
+  routing: CONNECTOR_ROUTINGS.STRAIGHT,
+  ...fields,
+});
+
+const getEnds = ({ x1, y1, x2, y2 }) => ({ x1, y1, x2, y2 });
+
+describe("routeConnector", () => {
+  it("puts bound ends on the facing outlines, BINDING_GAP outside them", () => {
+    const elements = [box("a", 0, 0), box("b", 300, 0)];
+    const connector = arrow({ startBindingId: "a", endBindingId: "b" });
+    expect(getEnds(routeConnector(connector, elements))).toEqual({
+      x1: 100 + BINDING_GAP,
+      y1: 50,
+      x2: 300 - BINDING_GAP,
+      y2: 50,
+    });
+  });
+
+  it("treats circles as ellipses", () => {
+    const elements = [box("a", 0, 0, TOOL_ITEMS.CIRCLE)];
+    const connector = arrow({ x2: 50, y2: 300, startBindingId: "a" });
+    expect(getEnds(routeConnector(connector, elements))).toEqual({
+      x1: 50,
+      y1: 100 + BINDING_GAP,
+      x2: 50,
+      y2: 300,
+    });
+  });
+
+  it("points a bound end at a free end, and leaves the free end alone", () => {
+    const elements = [box("a", 0, 0)];
+    const connector = arrow({
+      x1: 300,
+      y1: 50,
+      x2: 60,
+      y2: 60,
+      endBindingId: "a",
+    });
+    expect(getEnds(routeConnector(connector, elements))).toEqual({
+      x1: 300,
+      y1: 50,
+      x2: 100 + BINDING_GAP,
+      y2: 50,
+    });
+  });
+
+  it("leaves ends bound to elements that aren't on the board", () => {
+    const connector = arrow({ x2: 200, y2: 0, startBindingId: "gone" });
+    expect(routeConnector(connector, [box("a", 0, 0)])).toBe(connector);
+  });
+
+  it("routes an elbow along the axis its elements are further apart on", () => {
+    const elements = [box("a", 0, 0), box("b", 300, 200)];
+    const connector = routeConnector(
+      arrow({
+        routing: CONNECTOR_ROUTINGS.ELBOW,
+        startBindingId: "a",
+        endBindingId: "b",
+      }),
+      elements
+    );
+    expect(connector.isVerticalElbow).toBe(false);
+    expect(getConnectorPoints(connector)).toEqual([
+      { x: 100 + BINDING_GAP, y: 50 },
+      { x: 200, y: 50 },
+      { x: 200, y: 250 },
+      { x: 300 - BINDING_GAP, y: 250 },
+    ]);
+  });
+
+  it("routes a vertical elbow between the top and bottom sides", () => {
+    const elements = [box("a", 0, 0), box("b", 100, 300)];
+    const connector = routeConnector(
+      arrow({
+        routing: CONNECTOR_ROUTINGS.ELBOW,
+        startBindingId: "a",
+        endBindingId: "b",
+      }),
+      elements
+    );
+    expect(connector.isVerticalElbow).toBe(true);
+    expect(getConnectorPoints(connector)).toEqual([
+      { x: 50, y: 100 + BINDING_GAP },
+      { x: 50, y: 200 },
+      { x: 150, y: 200 },
+      { x: 150, y: 300 - BINDING_GAP },
+    ]);
+  });
+
+  it("lets a free elbow take its axis from its ends again", () => {
+    const connector = arrow({
+      x2: 0,
+      y2: 200,
+      routing: CONNECTOR_ROUTINGS.ELBOW,
+      isVerticalElbow: false,
+    });
+    expect(routeConnector(connector, [])).not.toHaveProperty("isVerticalElbow");
+  });
+});
+
+describe("getBindableElementAt", () => {
+  const elements = [box("a", 0, 0), box("b", 50, 0)];
+
+  it("finds elements within BINDING_DISTANCE of their outline", () => {
+    expect(getBindableElementAt(elements, -BINDING_DISTANCE, 50)?.id).toBe("a");
+    expect(getBindableElementAt(elements, 5, 50)?.id).toBe("a");
+    expect(getBindableElementAt(elements, -BINDING_DISTANCE - 1, 50)).toBe(
+      null
+    );
+  });
+
+  it("ignores points deep inside an element", () => {
+    expect(getBindableElementAt([box("a", 0, 0)], 50, 50)).toBe(null);
+  });
+
+  it("measures circles by their outline, not their box", () => {
+    const circle = [box("a", 0, 0, TOOL_ITEMS.CIRCLE)];
+    expect(getBindableElementAt(circle, 50, 1 - BINDING_DISTANCE)?.id).toBe(
+      "a"
+    );
+    expect(getBindableElementAt(circle, 5, 5)).toBe(null);
+  });
+
+  it("prefers the topmost element and skips excluded ones", () => {
+    expect(getBindableElementAt(elements, 50, 0)?.id).toBe("b");
+    expect(getBindableElementAt(elements, 50, 0, ["b"])?.id).toBe("a");
+  });
+
+  it("ignores elements that can't be bound to", () => {
+    const line = { ...box("a", 0, 0), type: TOOL_ITEMS.LINE };
+    expect(getBindableElementAt([line], 0, 0)).toBe(null);
+  });
+});
+
+describe("updateBoundConnectors", () => {
+  it("binds the ends of an edited connector and routes it", () => {
+    const elements = [
+      box("a", 0, 0),
+      box("b", 300, 0),
+      arrow({ x1: 95, y1: 50, x2: 305, y2: 60 }),
+    ];
+    const [, , connector] = updateBoundConnectors(elements, ["c"]);
+    expect(connector).toMatchObject({
+      startBindingId: "a",
+      endBindingId: "b",
+      x1: 100 + BINDING_GAP,
+      x2: 300 - BINDING_GAP,
+    });
+  });
+
+  it("leaves a connector drawn inside a shape free", () => {
+    const elements = [
+      box("a", 0, 0),
+      arrow({ x1: 20, y1: 20, x2: 80, y2: 80 }),
+    ];
+    const [, connector] = updateBoundConnectors(elements, ["c"]);
+    expect(connector).toBe(elements[1]);
+  });
+
+  it("re-routes connectors bound to a moved element", () => {
+    const connector = arrow({
+      x1: 106,
+      y1: 50,
+      x2: 294,
+      y2: 50,
+      startBindingId: "a",
+      endBindingId: "b",
+    });
+    const [, , routed] = updateBoundConnectors(
+      [box("a", 0, 0), box("b", 300, 200), connector],
+      ["b"]
+    );
+    // Each end now points at the other element's center, 300 across and 200
+    // down, and leaves its box through the side facing it
+    expect(routed.x1).toBe(100 + BINDING_GAP);
+    expect(routed.y1).toBeCloseTo(50 + (200 / 300) * (50 + BINDING_GAP));
+    expect(routed.x2).toBe(300 - BINDING_GAP);
+    expect(routed.y2).toBeCloseTo(250 - (200 / 300) * (50 + BINDING_GAP));
+  });
+});
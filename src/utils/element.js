@@ -1,21 +1,221 @@
-import { ARROW_LENGTH, TOOL_ITEMS } from "../constants";
+import {
+  ALIGN_TYPES,
+  ARROW_LENGTH,
+  BRUSH_DEFAULTS,
+  CONNECTOR_ROUTINGS,
+  CORNER_RADIUS,
+  DISTRIBUTE_TYPES,
+  ELEMENT_SCHEMA_VERSION,
+  ELLIPSE_OUTLINE_SEGMENTS,
+  FILL_STYLES,
+  ROTATION_HANDLE_OFFSET,
+  SELECTION_PADDING,
+  SHAPE_DEFAULTS,
+  SHAPE_TOOL_TYPES,
+  STAR_INNER_RADIUS,
+  STAR_POINTS,
+  STICKY_PADDING,
+  STICKY_SIZE,
+  STROKE_STYLES,
+  TEXT_ALIGNS,
+  TEXT_DEFAULTS,
+  TEXT_LINE_HEIGHT,
+  FONT_FAMILIES,
+  TOOL_ITEMS,
+  TRANSFORM_HANDLES,
+  VERTEX_TOOL_TYPES,
+} from "../constants";
 import getStroke from "perfect-freehand";
 
 import rough from "roughjs/bin/rough";
-import { getArrowHeadsCoordinates, isPointCloseToLine } from "./math";
+import { CLIENT_ID } from "./client";
+import {
+  distanceToSegment,
+  getArrowHeadsCoordinates,
+  isNearPoint,
+  isPointCloseToLine,
+  rotatePoint,
+} from "./math";
 
 const gen = rough.generator();
 
+let measureContext = null;
+const getMeasureContext = () => {
+  if (!measureContext) {
+    measureContext = document.createElement("canvas").getContext("2d");
+  }
+  return measureContext;
+};
+
+// Text options missing from an element fall back to TEXT_DEFAULTS, so text
+// written before they existed keeps its look
+export const getTextStyle = (element) => {
+  const getOption = (option) => element[option] ?? TEXT_DEFAULTS[option];
+  return {
+    fontFamily: getOption("fontFamily"),
+    isBold: getOption("isBold"),
+    isItalic: getOption("isItalic"),
+    textAlign: getOption("textAlign"),
+    width: getOption("width"),
+    fontSize: parseInt(element.size),
+  };
+};
+
+// Where the first line of text starts
+export const getTextOrigin = (element) =>
+  element.type === TOOL_ITEMS.STICKY
+    ? { x: element.x1 + STICKY_PADDING, y: element.y1 + STICKY_PADDING }
+    : { x: element.x1, y: element.y1 };
+
+// The CSS font shorthand, shared by the canvas and the editing textarea
+export const getTextFont = (element) => {
+  const { fontFamily, isBold, isItalic, fontSize } = getTextStyle(element);
+  return `${isItalic ? "italic " : ""}${
+    isBold ? "bold " : ""
+  }${fontSize}px ${fontFamily}`;
+};
+
+const measureText = (text, font) => {
+  const context = getMeasureContext();
+  context.font = font;
+  return context.measureText(text).width;
+};
+
+// Breaks a paragraph into lines no wider than maxWidth, between words where
+// possible and inside a word only when it is wider than the box by itself
+const wrapParagraph = (paragraph, font, maxWidth) => {
+  const lines = [];
+  let line = "";
+  paragraph.split(/(\s+)/).forEach((word) => {
+    if (!word) return;
+    const candidate = line + word;
+    if (!line || measureText(candidate, font) <= maxWidth) {
+      line = candidate;
+    } else if (/^\s+$/.test(word)) {
+      // Spaces at a break are dropped, as a textarea does
+      lines.push(line);
+      line = "";
+    } else {
+      lines.push(line.trimEnd());
+      line = word;
+    }
+    while (line.length > 1 && measureText(line, font) > maxWidth) {
+      let end = line.length - 1;
+      while (end > 1 && measureText(line.slice(0, end), font) > maxWidth) {
+        end--;
+      }
+      lines.push(line.slice(0, end));
+      line = line.slice(end);
+    }
+  });
+  lines.push(line);
+  return lines;
+};
+
+const textLayoutCache = new WeakMap();
+
+// Lines of a text element or sticky note as they are drawn, with the box they
+// fill. Wrapped text is as wide as its width option, unwrapped text as its
+// longest line; a sticky note's text wraps inside the card's padding.
+export const getTextLayout = (element) => {
+  if (!textLayoutCache.has(element)) {
+    const { width: wrapWidth, fontSize } = getTextStyle(element);
+    const width =
+      element.type === TOOL_ITEMS.STICKY
+        ? Math.max(1, element.width - 2 * STICKY_PADDING)
+        : wrapWidth;
+    const font = getTextFont(element);
+    const paragraphs = (element.text || "").split("\n");
+    const lines = width
+      ? paragraphs.flatMap((paragraph) => wrapParagraph(paragraph, font, width))
+      : paragraphs;
+    const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+    textLayoutCache.set(element, {
+      lines,
+      lineHeight,
+      width: width || Math.max(...lines.map((line) => measureText(line, font))),
+      height: lines.length * lineHeight,
+    });
+  }
+  return textLayoutCache.get(element);
+};
+
+// Only pen input has real pressure; points without it are left to
+// perfect-freehand to simulate from the drawing speed
+export const createBrushPoint = (x, y, pressure) =>
+  pressure === undefined ? { x, y } : { x, y, pressure };
+
+// Brush options missing from a stroke fall back to BRUSH_DEFAULTS
+export const getBrushOutline = (element) => {
+  const getOption = (option) => element[option] ?? BRUSH_DEFAULTS[option];
+  return getStroke(element.points, {
+    size: Number(getOption("size")),
+    thinning: getOption("thinning"),
+    smoothing: getOption("smoothing"),
+    streamline: getOption("streamline"),
+    start: { taper: getOption("taperStart") },
+    end: { taper: getOption("taperEnd") },
+    simulatePressure: !element.points.some(
+      (point) => point.pressure !== undefined
+    ),
+  });
+};
+
+// Highlighter strokes sit underneath everything else, whatever order they
+// were drawn in
+export const getRenderOrder = (elements) => [
+  ...elements.filter((element) => element.isHighlighter),
+  ...elements.filter((element) => !element.isHighlighter),
+];
+
+let elementCounter = 0;
+
+export const createElementId = () => `${CLIENT_ID}:${++elementCounter}`;
+
+// New elements stack on top of everything already on the board
+export const getNextElementOrder = (elements) =>
+  elements.reduce((max, element) => Math.max(max, element.order ?? 0), 0) + 1;
+
+// Elements are plain data (geometry, style and seed) so they survive being
+// sent over the socket, saved to the server and cached offline unchanged.
+// Anything derived from them is rebuilt by hydrateElement when rendering.
 export const createElement = (
   id,
   x1,
   y1,
   x2,
   y2,
-  { type, stroke, fill, size }
+  {
+    type,
+    stroke,
+    fill,
+    size,
+    src,
+    pressure,
+    thinning,
+    smoothing,
+    streamline,
+    taperStart,
+    taperEnd,
+    isHighlighter,
+    fontFamily,
+    isBold,
+    isItalic,
+    textAlign,
+    width,
+    routing,
+    roughness,
+    strokeStyle,
+    fillStyle,
+    isRounded,
+    opacity,
+    seed = rough.newSeed(),
+  }
 ) => {
   const element = {
+    schemaVersion: ELEMENT_SCHEMA_VERSION,
     id,
+    seed,
     x1,
     y1,
     x2,
@@ -25,117 +225,1021 @@ export const createElement = (
     stroke,
     size,
   };
+  const shapeStyle = { roughness, strokeStyle, opacity };
+  switch (type) {
+    case TOOL_ITEMS.BRUSH:
+      return {
+        schemaVersion: ELEMENT_SCHEMA_VERSION,
+        id,
+        seed,
+        points: [createBrushPoint(x1, y1, pressure)],
+        type,
+        stroke,
+        size,
+        thinning,
+        smoothing,
+        streamline,
+        taperStart,
+        taperEnd,
+        isHighlighter,
+      };
+    case TOOL_ITEMS.LINE:
+    case TOOL_ITEMS.ARROW:
+      return { ...element, routing, ...shapeStyle };
+    case TOOL_ITEMS.RECTANGLE:
+      return { ...element, ...shapeStyle, fillStyle, isRounded };
+    case TOOL_ITEMS.CIRCLE:
+    case TOOL_ITEMS.DIAMOND:
+    case TOOL_ITEMS.TRIANGLE:
+    case TOOL_ITEMS.STAR:
+      return { ...element, ...shapeStyle, fillStyle };
+    case TOOL_ITEMS.POLYGON:
+    case TOOL_ITEMS.POLYLINE:
+      // The last point follows the pointer until a click places it
+      return {
+        schemaVersion: ELEMENT_SCHEMA_VERSION,
+        id,
+        seed,
+        points: [
+          { x: x1, y: y1 },
+          { x: x1, y: y1 },
+        ],
+        type,
+        fill,
+        stroke,
+        size,
+        ...shapeStyle,
+        ...(type === TOOL_ITEMS.POLYGON && { fillStyle }),
+      };
+    case TOOL_ITEMS.TEXT:
+      return {
+        ...element,
+        text: "",
+        fontFamily,
+        isBold,
+        isItalic,
+        textAlign,
+        width,
+      };
+    case TOOL_ITEMS.STICKY:
+      return {
+        ...element,
+        text: "",
+        fontFamily,
+        isBold,
+        isItalic,
+        textAlign,
+        width: width || STICKY_SIZE,
+      };
+    case TOOL_ITEMS.IMAGE:
+      return {
+        schemaVersion: ELEMENT_SCHEMA_VERSION,
+        id,
+        seed,
+        x1,
+        y1,
+        x2,
+        y2,
+        type,
+        src,
+      };
+    default:
+      throw new Error("Type not recognized");
+  }
+};
+
+// A star pointing up, stretched to fill the box from 0 to 1 on both axes
+const createUnitStar = () => {
+  const points = Array.from({ length: STAR_POINTS * 2 }, (_, index) => {
+    const radius = index % 2 ? STAR_INNER_RADIUS : 1;
+    const angle = -Math.PI / 2 + (index * Math.PI) / STAR_POINTS;
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+  });
+  const minX = Math.min(...points.map((point) => point.x));
+  const maxX = Math.max(...points.map((point) => point.x));
+  const minY = Math.min(...points.map((point) => point.y));
+  const maxY = Math.max(...points.map((point) => point.y));
+  return points.map((point) => ({
+    x: (point.x - minX) / (maxX - minX),
+    y: (point.y - minY) / (maxY - minY),
+  }));
+};
+
+const UNIT_STAR = createUnitStar();
+
+// The corners of a diamond, triangle or star, fitted to the box it was
+// dragged out in. Triangles and stars always point up.
+export const getShapeVertices = (element) => {
+  const minX = Math.min(element.x1, element.x2),
+    maxX = Math.max(element.x1, element.x2),
+    minY = Math.min(element.y1, element.y2),
+    maxY = Math.max(element.y1, element.y2);
+  const midX = (minX + maxX) / 2,
+    midY = (minY + maxY) / 2;
+  switch (element.type) {
+    case TOOL_ITEMS.DIAMOND:
+      return [
+        { x: midX, y: minY },
+        { x: maxX, y: midY },
+        { x: midX, y: maxY },
+        { x: minX, y: midY },
+      ];
+    case TOOL_ITEMS.TRIANGLE:
+      return [
+        { x: midX, y: minY },
+        { x: maxX, y: maxY },
+        { x: minX, y: maxY },
+      ];
+    case TOOL_ITEMS.STAR:
+      return UNIT_STAR.map((point) => ({
+        x: minX + point.x * (maxX - minX),
+        y: minY + point.y * (maxY - minY),
+      }));
+    default:
+      throw new Error("Type not recognized");
+  }
+};
+
+const toPointPairs = (points) => points.map(({ x, y }) => [x, y]);
+
+// The points a line or arrow passes through. An elbow connector leaves its
+// start along one axis, turns halfway across and arrives along the same axis:
+// the one its ends are further apart on, unless routing it between two
+// elements chose the axis (isVerticalElbow).
+export const getConnectorPoints = ({
+  x1,
+  y1,
+  x2,
+  y2,
+  routing,
+  isVerticalElbow,
+}) => {
+  if (routing !== CONNECTOR_ROUTINGS.ELBOW) {
+    return [
+      { x: x1, y: y1 },
+      { x: x2, y: y2 },
+    ];
+  }
+  const midX = (x1 + x2) / 2,
+    midY = (y1 + y2) / 2;
+  const isHorizontal =
+    isVerticalElbow === undefined
+      ? Math.abs(x2 - x1) >= Math.abs(y2 - y1)
+      : !isVerticalElbow;
+  const points = isHorizontal
+    ? [
+        { x: x1, y: y1 },
+        { x: midX, y: y1 },
+        { x: midX, y: y2 },
+        { x: x2, y: y2 },
+      ]
+    : [
+        { x: x1, y: y1 },
+        { x: x1, y: midY },
+        { x: x2, y: midY },
+        { x: x2, y: y2 },
+      ];
+  // Ends already in line leave no corner to turn
+  return points.filter(
+    (point, index) =>
+      index === 0 ||
+      index === points.length - 1 ||
+      point.x !== points[index - 1].x ||
+      point.y !== points[index - 1].y
+  );
+};
+
+// Sketch options missing from a shape fall back to SHAPE_DEFAULTS
+export const getShapeStyle = (element) => {
+  const getOption = (option) => element[option] ?? SHAPE_DEFAULTS[option];
+  return {
+    roughness: getOption("roughness"),
+    strokeStyle: getOption("strokeStyle"),
+    fillStyle: getOption("fillStyle"),
+    isRounded: getOption("isRounded"),
+    opacity: getOption("opacity"),
+  };
+};
+
+// Dashes and dots grow with the stroke, so thick lines don't close the gaps
+export const getStrokeLineDash = (element) => {
+  const width = Number(element.size) || 1;
+  switch (getShapeStyle(element).strokeStyle) {
+    case STROKE_STYLES.DASHED:
+      return [8, 8 + width];
+    case STROKE_STYLES.DOTTED:
+      return [1.5, 6 + width];
+    default:
+      return null;
+  }
+};
+
+// The corners of a rounded rectangle, each a quadratic curve from the end of
+// one side to the start of the next, going clockwise from the top right
+const getRoundedCorners = (element) => {
+  const { minX, minY, maxX, maxY } = getElementBounds(element);
+  const radius = Math.min(CORNER_RADIUS, (maxX - minX) / 4, (maxY - minY) / 4);
+  return [
+    [maxX - radius, minY, maxX, minY, maxX, minY + radius],
+    [maxX, maxY - radius, maxX, maxY, maxX - radius, maxY],
+    [minX + radius, maxY, minX, maxY, minX, maxY - radius],
+    [minX, minY + radius, minX, minY, minX + radius, minY],
+  ].map(([startX, startY, controlX, controlY, endX, endY]) => ({
+    start: { x: startX, y: startY },
+    control: { x: controlX, y: controlY },
+    end: { x: endX, y: endY },
+  }));
+};
+
+const getRoundedRectanglePath = (element) => {
+  const corners = getRoundedCorners(element);
+  const { end } = corners[corners.length - 1];
+  return `M ${end.x} ${end.y} ${corners
+    .map(
+      ({ start, control, end }) =>
+        `L ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`
+    )
+    .join(" ")} Z`;
+};
+
+// The same outline as points, a few along each curve, for hit-testing
+const getRoundedRectanglePoints = (element) =>
+  getRoundedCorners(element).flatMap(({ start, control, end }) =>
+    [0, 0.25, 0.5, 0.75, 1].map((t) => ({
+      x: (1 - t) ** 2 * start.x + 2 * (1 - t) * t * control.x + t ** 2 * end.x,
+      y: (1 - t) ** 2 * start.y + 2 * (1 - t) * t * control.y + t ** 2 * end.y,
+    }))
+  );
+
+const createDrawable = (element) => {
+  const { x1, y1, x2, y2, type, stroke, fill, size, seed, routing } = element;
+  if (type === TOOL_ITEMS.BRUSH) {
+    return new Path2D(getSvgPathFromStroke(getBrushOutline(element)));
+  }
+  const { roughness, fillStyle, isRounded } = getShapeStyle(element);
   let options = {
-    seed: id + 1, // id can't be zero
-    fillStyle: "solid",
+    seed,
+    roughness,
+    fillStyle,
   };
   if (stroke) {
     options.stroke = stroke;
   }
+  const strokeLineDash = getStrokeLineDash(element);
+  if (strokeLineDash) {
+    // A second, slightly different pass would fill in the gaps
+    options.strokeLineDash = strokeLineDash;
+    options.disableMultiStroke = true;
+  }
   if (fill) {
     options.fill = fill;
   }
   if (size) {
     options.strokeWidth = size;
   }
+  const connectorPoints =
+    routing === CONNECTOR_ROUTINGS.ELBOW ? getConnectorPoints(element) : null;
   switch (type) {
-    case TOOL_ITEMS.BRUSH: {
-      const brushElement = {
-        id,
-        points: [{ x: x1, y: y1 }],
-        path: new Path2D(getSvgPathFromStroke(getStroke([{ x: x1, y: y1 }]))),
-        type,
-        stroke,
-      };
-      return brushElement;
-    }
     case TOOL_ITEMS.LINE:
-      element.roughEle = gen.line(x1, y1, x2, y2, options);
-      return element;
+      return connectorPoints
+        ? gen.linearPath(toPointPairs(connectorPoints), options)
+        : gen.line(x1, y1, x2, y2, options);
     case TOOL_ITEMS.RECTANGLE:
-      element.roughEle = gen.rectangle(x1, y1, x2 - x1, y2 - y1, options);
-      return element;
+      return isRounded
+        ? gen.path(getRoundedRectanglePath(element), options)
+        : gen.rectangle(x1, y1, x2 - x1, y2 - y1, options);
     case TOOL_ITEMS.CIRCLE:
       const cx = (x1 + x2) / 2,
         cy = (y1 + y2) / 2;
       const width = x2 - x1,
         height = y2 - y1;
-      element.roughEle = gen.ellipse(cx, cy, width, height, options);
-      return element;
+      return gen.ellipse(cx, cy, width, height, options);
     case TOOL_ITEMS.ARROW:
+      const bodyPoints = connectorPoints || [
+        { x: x1, y: y1 },
+        { x: x2, y: y2 },
+      ];
+      // The head points along the last stretch of the arrow
+      const lastStart = bodyPoints[bodyPoints.length - 2];
       const { x3, y3, x4, y4 } = getArrowHeadsCoordinates(
-        x1,
-        y1,
+        lastStart.x,
+        lastStart.y,
         x2,
         y2,
         ARROW_LENGTH
       );
       const points = [
-        [x1, y1],
-        [x2, y2],
+        ...toPointPairs(bodyPoints),
         [x3, y3],
         [x2, y2],
         [x4, y4],
       ];
-      element.roughEle = gen.linearPath(points, options);
-      return element;
-    case TOOL_ITEMS.TEXT:
-      element.text = "";
-      return element;
+      return gen.linearPath(points, options);
+    case TOOL_ITEMS.DIAMOND:
+    case TOOL_ITEMS.TRIANGLE:
+    case TOOL_ITEMS.STAR:
+      return gen.polygon(toPointPairs(getShapeVertices(element)), options);
+    case TOOL_ITEMS.POLYGON:
+      return gen.polygon(toPointPairs(element.points), options);
+    case TOOL_ITEMS.POLYLINE:
+      return gen.linearPath(toPointPairs(element.points), options);
     default:
-      throw new Error("Type not recognized");
+      return null;
   }
 };
 
+// Elements are never mutated, so a drawable can be cached against the element
+// object itself; any change produces a new object and a fresh drawable
+const drawableCache = new WeakMap();
+
+// Returns what the canvas needs to render an element: a rough.js drawable for
+// shapes, a Path2D for brush strokes and null for text and images
+export const hydrateElement = (element) => {
+  if (!drawableCache.has(element)) {
+    drawableCache.set(element, createDrawable(element));
+  }
+  return drawableCache.get(element);
+};
+
+// Whether the point lies on the path through the points, which returns to
+// the first one when it is closed
+const isPointNearPath = (points, isClosed, pointX, pointY) => {
+  const path = isClosed ? [...points, points[0]] : points;
+  return path
+    .slice(1)
+    .some((point, index) =>
+      isPointCloseToLine(
+        path[index].x,
+        path[index].y,
+        point.x,
+        point.y,
+        pointX,
+        pointY
+      )
+    );
+};
+
 export const isPointNearElement = (element, pointX, pointY) => {
   const { x1, y1, x2, y2, type } = element;
-  const context = document.getElementById("canvas").getContext("2d");
+  const context = getMeasureContext();
+  if (element.angle) {
+    // Test against the unrotated geometry by rotating the point the other way
+    const center = getElementCenter(element);
+    ({ x: pointX, y: pointY } = rotatePoint(
+      pointX,
+      pointY,
+      center.x,
+      center.y,
+      -element.angle
+    ));
+  }
   switch (type) {
     case TOOL_ITEMS.LINE:
     case TOOL_ITEMS.ARROW:
-      return isPointCloseToLine(x1, y1, x2, y2, pointX, pointY);
+      return isPointNearPath(
+        getConnectorPoints(element),
+        false,
+        pointX,
+        pointY
+      );
     case TOOL_ITEMS.RECTANGLE:
     case TOOL_ITEMS.CIRCLE:
+      if (type === TOOL_ITEMS.RECTANGLE && element.isRounded) {
+        return isPointNearPath(
+          getRoundedRectanglePoints(element),
+          true,
+          pointX,
+          pointY
+        );
+      }
       return (
         isPointCloseToLine(x1, y1, x2, y1, pointX, pointY) ||
         isPointCloseToLine(x2, y1, x2, y2, pointX, pointY) ||
         isPointCloseToLine(x2, y2, x1, y2, pointX, pointY) ||
         isPointCloseToLine(x1, y2, x1, y1, pointX, pointY)
       );
+    case TOOL_ITEMS.DIAMOND:
+    case TOOL_ITEMS.TRIANGLE:
+    case TOOL_ITEMS.STAR:
+      return isPointNearPath(getShapeVertices(element), true, pointX, pointY);
+    case TOOL_ITEMS.POLYGON:
+    case TOOL_ITEMS.POLYLINE:
+      return isPointNearPath(
+        element.points,
+        type === TOOL_ITEMS.POLYGON,
+        pointX,
+        pointY
+      );
     case TOOL_ITEMS.BRUSH:
-      const elPath = new Path2D(getSvgPathFromStroke(getStroke(element.points)));
-      return context.isPointInPath(elPath, pointX, pointY);
+      return context.isPointInPath(hydrateElement(element), pointX, pointY);
     case TOOL_ITEMS.TEXT:
-      context.font = `${element.size}px Caveat`;
-      context.fillStyle = element.stroke;
-      const textWidth = context.measureText(element.text).width;
-      const textHeight = parseInt(element.size);
-      context.restore();
+    case TOOL_ITEMS.STICKY: {
+      // Anywhere in the box counts, since aiming at the letters is fiddly,
+      // and a note is one solid card
+      const { minX, minY, maxX, maxY } = getElementBounds(element);
       return (
-        isPointCloseToLine(x1, y1, x1 + textWidth, y1, pointX, pointY) ||
-        isPointCloseToLine(
-          x1 + textWidth,
-          y1,
-          x1 + textWidth,
-          y1 + textHeight,
-          pointX,
-          pointY
-        ) ||
-        isPointCloseToLine(
-          x1 + textWidth,
-          y1 + textHeight,
-          x1,
-          y1 + textHeight,
-          pointX,
-          pointY
-        ) ||
-        isPointCloseToLine(x1, y1 + textHeight, x1, y1, pointX, pointY)
+        pointX >= minX && pointX <= maxX && pointY >= minY && pointY <= maxY
+      );
+    }
+    case TOOL_ITEMS.IMAGE:
+      // Images are opaque, so anywhere on them counts
+      return (
+        pointX >= Math.min(x1, x2) &&
+        pointX <= Math.max(x1, x2) &&
+        pointY >= Math.min(y1, y2) &&
+        pointY <= Math.max(y1, y2)
       );
     default:
       throw new Error("Type not recognized");
   }
 };
 
+export const getElementBounds = (element) => {
+  switch (element.type) {
+    case TOOL_ITEMS.BRUSH:
+    case TOOL_ITEMS.POLYGON:
+    case TOOL_ITEMS.POLYLINE: {
+      const xs = element.points.map((point) => point.x);
+      const ys = element.points.map((point) => point.y);
+      return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys),
+      };
+    }
+    case TOOL_ITEMS.TEXT: {
+      const { width, height } = getTextLayout(element);
+      return {
+        minX: element.x1,
+        minY: element.y1,
+        maxX: element.x1 + width,
+        maxY: element.y1 + height,
+      };
+    }
+    case TOOL_ITEMS.STICKY: {
+      // Square until the text needs more room, then as tall as it
+      const { height } = getTextLayout(element);
+      return {
+        minX: element.x1,
+        minY: element.y1,
+        maxX: element.x1 + element.width,
+        maxY:
+          element.y1 + Math.max(element.width, height + 2 * STICKY_PADDING),
+      };
+    }
+    default:
+      return {
+        minX: Math.min(element.x1, element.x2),
+        minY: Math.min(element.y1, element.y2),
+        maxX: Math.max(element.x1, element.x2),
+        maxY: Math.max(element.y1, element.y2),
+      };
+  }
+};
+
+export const getElementCenter = (element) => {
+  const { minX, minY, maxX, maxY } = getElementBounds(element);
+  return { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+};
+
+// Axis-aligned box around the element as it appears on screen, rotation included
+export const getElementBoundingBox = (element) => {
+  const bounds = getElementBounds(element);
+  if (!element.angle) return bounds;
+  const center = getElementCenter(element);
+  const corners = [
+    [bounds.minX, bounds.minY],
+    [bounds.maxX, bounds.minY],
+    [bounds.minX, bounds.maxY],
+    [bounds.maxX, bounds.maxY],
+  ].map(([x, y]) => rotatePoint(x, y, center.x, center.y, element.angle));
+  const xs = corners.map((corner) => corner.x);
+  const ys = corners.map((corner) => corner.y);
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+};
+
+export const getElementsBoundingBox = (elements) => {
+  const boxes = elements.map(getElementBoundingBox);
+  return {
+    minX: Math.min(...boxes.map((box) => box.minX)),
+    minY: Math.min(...boxes.map((box) => box.minY)),
+    maxX: Math.max(...boxes.map((box) => box.maxX)),
+    maxY: Math.max(...boxes.map((box) => box.maxY)),
+  };
+};
+
+export const isElementInSelectionBox = (element, { x1, y1, x2, y2 }) => {
+  const box = getElementBoundingBox(element);
+  return (
+    box.minX <= Math.max(x1, x2) &&
+    box.maxX >= Math.min(x1, x2) &&
+    box.minY <= Math.max(y1, y2) &&
+    box.maxY >= Math.min(y1, y2)
+  );
+};
+
+// Handle positions are in the element's unrotated frame
+export const getTransformHandles = (element) => {
+  const { minX, minY, maxX, maxY } = getElementBounds(element);
+  const left = minX - SELECTION_PADDING,
+    top = minY - SELECTION_PADDING,
+    right = maxX + SELECTION_PADDING,
+    bottom = maxY + SELECTION_PADDING;
+  return {
+    [TRANSFORM_HANDLES.TOP_LEFT]: { x: left, y: top },
+    [TRANSFORM_HANDLES.TOP_RIGHT]: { x: right, y: top },
+    [TRANSFORM_HANDLES.BOTTOM_LEFT]: { x: left, y: bottom },
+    [TRANSFORM_HANDLES.BOTTOM_RIGHT]: { x: right, y: bottom },
+    [TRANSFORM_HANDLES.ROTATE]: {
+      x: (left + right) / 2,
+      y: top - ROTATION_HANDLE_OFFSET,
+    },
+  };
+};
+
+const toElementFrame = (element, pointX, pointY) => {
+  const center = getElementCenter(element);
+  return rotatePoint(pointX, pointY, center.x, center.y, -(element.angle || 0));
+};
+
+export const getTransformHandleAtPoint = (element, pointX, pointY) => {
+  const { x, y } = toElementFrame(element, pointX, pointY);
+  const handles = getTransformHandles(element);
+  return (
+    Object.keys(handles).find((handle) =>
+      isNearPoint(x, y, handles[handle].x, handles[handle].y)
+    ) || null
+  );
+};
+
+export const isPointInsideElementBounds = (element, pointX, pointY) => {
+  const { x, y } = toElementFrame(element, pointX, pointY);
+  const { minX, minY, maxX, maxY } = getElementBounds(element);
+  return (
+    x >= minX - SELECTION_PADDING &&
+    x <= maxX + SELECTION_PADDING &&
+    y >= minY - SELECTION_PADDING &&
+    y <= maxY + SELECTION_PADDING
+  );
+};
+
+// The outline of an element in its own unrotated frame, as points joined back
+// to the first when it is closed: the path of a line, arrow or polyline, the
+// edges of a shape, and the box of anything else. Circles are ellipses with
+// ELLIPSE_OUTLINE_SEGMENTS sides.
+export const getElementOutline = (element) => {
+  const { minX, minY, maxX, maxY } = getElementBounds(element);
+  switch (element.type) {
+    case TOOL_ITEMS.LINE:
+    case TOOL_ITEMS.ARROW:
+      return { points: getConnectorPoints(element), isClosed: false };
+    case TOOL_ITEMS.BRUSH:
+    case TOOL_ITEMS.POLYLINE:
+      return { points: element.points, isClosed: false };
+    case TOOL_ITEMS.POLYGON:
+      return { points: element.points, isClosed: true };
+    case TOOL_ITEMS.DIAMOND:
+    case TOOL_ITEMS.TRIANGLE:
+    case TOOL_ITEMS.STAR:
+      return { points: getShapeVertices(element), isClosed: true };
+    case TOOL_ITEMS.CIRCLE: {
+      const radiusX = (maxX - minX) / 2,
+        radiusY = (maxY - minY) / 2;
+      const points = Array.from(
+        { length: ELLIPSE_OUTLINE_SEGMENTS },
+        (_, index) => {
+          const angle = (index * 2 * Math.PI) / ELLIPSE_OUTLINE_SEGMENTS;
+          return {
+            x: minX + radiusX + radiusX * Math.cos(angle),
+            y: minY + radiusY + radiusY * Math.sin(angle),
+          };
+        }
+      );
+      return { points, isClosed: true };
+    }
+    default:
+      if (element.type === TOOL_ITEMS.RECTANGLE && element.isRounded) {
+        return { points: getRoundedRectanglePoints(element), isClosed: true };
+      }
+      return {
+        points: [
+          { x: minX, y: minY },
+          { x: maxX, y: minY },
+          { x: maxX, y: maxY },
+          { x: minX, y: maxY },
+        ],
+        isClosed: true,
+      };
+  }
+};
+
+// How far the point is from the element's outline, rotation included
+export const getDistanceToOutline = (element, pointX, pointY) => {
+  const { x, y } = toElementFrame(element, pointX, pointY);
+  const { points, isClosed } = getElementOutline(element);
+  const path = isClosed ? [...points, points[0]] : points;
+  if (path.length === 1) return Math.hypot(path[0].x - x, path[0].y - y);
+  return Math.min(
+    ...path
+      .slice(1)
+      .map((point, index) =>
+        distanceToSegment(path[index].x, path[index].y, point.x, point.y, x, y)
+      )
+  );
+};
+
+// Cuts a circle out of a brush stroke and returns the points left on either
+// side as separate runs, or null when the circle misses the stroke. The
+// circle is widened by half the stroke's width so the ink under it goes, and
+// a segment crossing it is cut even when both its points lie outside.
+// Rotation is applied to the returned points, since every piece turns about
+// its own center.
+export const eraseFromBrush = (element, x, y, radius) => {
+  const center = getElementCenter(element);
+  const points = element.angle
+    ? element.points.map((point) => ({
+        ...point,
+        ...rotatePoint(point.x, point.y, center.x, center.y, element.angle),
+      }))
+    : element.points;
+  const reach = radius + Number(element.size ?? BRUSH_DEFAULTS.size) / 2;
+  const runs = [];
+  let run = [];
+  let isErased = false;
+  points.forEach((point, index) => {
+    const previous = points[index - 1];
+    if (Math.hypot(point.x - x, point.y - y) <= reach) {
+      isErased = true;
+      runs.push(run);
+      run = [];
+      return;
+    }
+    if (
+      run.length > 0 &&
+      distanceToSegment(previous.x, previous.y, point.x, point.y, x, y) <=
+        reach
+    ) {
+      isErased = true;
+      runs.push(run);
+      run = [];
+    }
+    run.push(point);
+  });
+  runs.push(run);
+  if (!isErased) return null;
+  // A single point left at a cut would show as a stray dot
+  return runs.filter((points) => points.length > 1);
+};
+
+// Whether an eraser circle touches an element that is erased whole: its
+// outline, or anywhere on text and images
+export const isElementUnderEraser = (element, x, y, radius) =>
+  isPointNearElement(element, x, y) ||
+  getDistanceToOutline(element, x, y) <= radius;
+
+export const moveElement = (element, dx, dy) => {
+  if (
+    element.type === TOOL_ITEMS.BRUSH ||
+    VERTEX_TOOL_TYPES.includes(element.type)
+  ) {
+    return {
+      ...element,
+      points: element.points.map((point) => ({
+        ...point,
+        x: point.x + dx,
+        y: point.y + dy,
+      })),
+    };
+  }
+  return {
+    ...element,
+    x1: element.x1 + dx,
+    y1: element.y1 + dy,
+    x2: element.x2 + dx,
+    y2: element.y2 + dy,
+  };
+};
+
+const scaleElement = (element, fromBounds, toBounds) => {
+  const fromWidth = fromBounds.maxX - fromBounds.minX;
+  const fromHeight = fromBounds.maxY - fromBounds.minY;
+  const scaleX = fromWidth ? (toBounds.maxX - toBounds.minX) / fromWidth : 1;
+  const scaleY = fromHeight ? (toBounds.maxY - toBounds.minY) / fromHeight : 1;
+  const mapX = (x) => toBounds.minX + (x - fromBounds.minX) * scaleX;
+  const mapY = (y) => toBounds.minY + (y - fromBounds.minY) * scaleY;
+  switch (element.type) {
+    case TOOL_ITEMS.BRUSH:
+    case TOOL_ITEMS.POLYGON:
+    case TOOL_ITEMS.POLYLINE:
+      return {
+        ...element,
+        points: element.points.map((point) => ({
+          ...point,
+          x: mapX(point.x),
+          y: mapY(point.y),
+        })),
+      };
+    case TOOL_ITEMS.TEXT:
+      // The font follows the height of the box, and wrapped text also takes
+      // the box's new width
+      return {
+        ...element,
+        x1: toBounds.minX,
+        y1: toBounds.minY,
+        x2: toBounds.minX,
+        y2: toBounds.minY,
+        size: Math.max(1, Math.round(parseInt(element.size) * scaleY)),
+        ...(element.width && {
+          width: Math.max(1, element.width * scaleX),
+        }),
+      };
+    case TOOL_ITEMS.STICKY:
+      // A note's height follows its text, so only the width is dragged and
+      // the font grows with it
+      return {
+        ...element,
+        x1: toBounds.minX,
+        y1: toBounds.minY,
+        x2: toBounds.minX,
+        y2: toBounds.minY,
+        width: Math.max(2 * STICKY_PADDING + 1, element.width * scaleX),
+        size: Math.max(1, Math.round(parseInt(element.size) * scaleX)),
+      };
+    default:
+      return {
+        ...element,
+        x1: mapX(element.x1),
+        y1: mapY(element.y1),
+        x2: mapX(element.x2),
+        y2: mapY(element.y2),
+      };
+  }
+};
+
+// Drags one corner of the element's box while the opposite corner stays put
+export const resizeElement = (element, handle, pointX, pointY) => {
+  const bounds = getElementBounds(element);
+  const center = getElementCenter(element);
+  const angle = element.angle || 0;
+  const fixed = {
+    x:
+      handle === TRANSFORM_HANDLES.TOP_LEFT ||
+      handle === TRANSFORM_HANDLES.BOTTOM_LEFT
+        ? bounds.maxX
+        : bounds.minX,
+    y:
+      handle === TRANSFORM_HANDLES.TOP_LEFT ||
+      handle === TRANSFORM_HANDLES.TOP_RIGHT
+        ? bounds.maxY
+        : bounds.minY,
+  };
+  const pointer = toElementFrame(element, pointX, pointY);
+  const resized = scaleElement(element, bounds, {
+    minX: Math.min(fixed.x, pointer.x),
+    minY: Math.min(fixed.y, pointer.y),
+    maxX: Math.max(fixed.x, pointer.x),
+    maxY: Math.max(fixed.y, pointer.y),
+  });
+  if (!angle) return resized;
+  // The rotation pivot moved with the box, so shift the element back until
+  // the fixed corner lands where it was on screen
+  const newCenter = getElementCenter(resized);
+  const before = rotatePoint(fixed.x, fixed.y, center.x, center.y, angle);
+  const after = rotatePoint(fixed.x, fixed.y, newCenter.x, newCenter.y, angle);
+  return moveElement(resized, before.x - after.x, before.y - after.y);
+};
+
+export const rotateElement = (element, pointX, pointY) => {
+  const center = getElementCenter(element);
+  // The rotation handle sits straight above the center, hence the quarter turn
+  const angle =
+    Math.atan2(pointY - center.y, pointX - center.x) + Math.PI / 2;
+  return { ...element, angle };
+};
+
+export const alignElements = (elements, alignType) => {
+  const groupBox = getElementsBoundingBox(elements);
+  return elements.map((element) => {
+    const box = getElementBoundingBox(element);
+    switch (alignType) {
+      case ALIGN_TYPES.LEFT:
+        return moveElement(element, groupBox.minX - box.minX, 0);
+      case ALIGN_TYPES.CENTER:
+        return moveElement(
+          element,
+          (groupBox.minX + groupBox.maxX) / 2 - (box.minX + box.maxX) / 2,
+          0
+        );
+      case ALIGN_TYPES.TOP:
+        return moveElement(element, 0, groupBox.minY - box.minY);
+      default:
+        throw new Error("Alignment not recognized");
+    }
+  });
+};
+
+// Leaves the outermost elements in place and spaces the rest evenly between them
+export const distributeElements = (elements, distributeType) => {
+  const horizontal = distributeType === DISTRIBUTE_TYPES.HORIZONTAL;
+  const start = horizontal ? "minX" : "minY";
+  const end = horizontal ? "maxX" : "maxY";
+  const boxes = elements.map(getElementBoundingBox);
+  const order = elements
+    .map((_, index) => index)
+    .sort((a, b) => boxes[a][start] - boxes[b][start]);
+  const first = boxes[order[0]];
+  const last = boxes[order[order.length - 1]];
+  const totalSize = boxes.reduce((sum, box) => sum + box[end] - box[start], 0);
+  const gap =
+    (last[end] - first[start] - totalSize) / Math.max(elements.length - 1, 1);
+  const distributed = [...elements];
+  let cursor = first[start];
+  order.forEach((index) => {
+    const offset = cursor - boxes[index][start];
+    distributed[index] = horizontal
+      ? moveElement(elements[index], offset, 0)
+      : moveElement(elements[index], 0, offset);
+    cursor += boxes[index][end] - boxes[index][start] + gap;
+  });
+  return distributed;
+};
+
+// Each migration upgrades an element from the schema version it is keyed by
+// to the next one
+const ELEMENT_MIGRATIONS = {
+  // Version 0 elements carried their rough.js drawable (roughEle) or Path2D
+  // (path), which don't survive JSON. Boards saved before ids were unique also
+  // used the array index as both the id and the seed; every client derives the
+  // same new ids, and the old seeds keep the shapes looking the same.
+  0: (element, index) => {
+    const { roughEle, path, ...data } = element;
+    const migrated = { ...data, schemaVersion: 1 };
+    if (migrated.seed !== undefined) return migrated;
+    const legacyId = Number(element.id);
+    return {
+      ...migrated,
+      id: `legacy:${index}`,
+      seed: (Number.isFinite(legacyId) ? legacyId : index) + 1,
+      order: index,
+      version: 0,
+      updatedBy: "",
+    };
+  },
+};
+
+export const migrateElement = (element, index) => {
+  let migrated = element;
+  while ((migrated.schemaVersion ?? 0) < ELEMENT_SCHEMA_VERSION) {
+    const migrate = ELEMENT_MIGRATIONS[migrated.schemaVersion ?? 0];
+    if (!migrate) break;
+    migrated = migrate(migrated, index);
+  }
+  return migrated;
+};
+
+export const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+export const BRUSH_NUMBER_OPTIONS = [
+  "size",
+  "thinning",
+  "smoothing",
+  "streamline",
+  "taperStart",
+  "taperEnd",
+];
+
+const isValidTextStyle = (element) =>
+  (element.fontFamily === undefined ||
+    Object.values(FONT_FAMILIES).includes(element.fontFamily)) &&
+  (element.textAlign === undefined ||
+    Object.values(TEXT_ALIGNS).includes(element.textAlign)) &&
+  ["isBold", "isItalic"].every(
+    (option) =>
+      element[option] === undefined || typeof element[option] === "boolean"
+  );
+
+const isValidShapeStyle = (element) =>
+  (element.roughness === undefined ||
+    (isFiniteNumber(element.roughness) && element.roughness >= 0)) &&
+  (element.strokeStyle === undefined ||
+    Object.values(STROKE_STYLES).includes(element.strokeStyle)) &&
+  (element.fillStyle === undefined ||
+    Object.values(FILL_STYLES).includes(element.fillStyle)) &&
+  (element.isRounded === undefined || typeof element.isRounded === "boolean") &&
+  (element.opacity === undefined ||
+    (isFiniteNumber(element.opacity) &&
+      element.opacity >= 0 &&
+      element.opacity <= 1));
+
+export const validateElement = (element) => {
+  if (element.id === undefined || element.id === null) return false;
+  if (!isFiniteNumber(element.seed)) return false;
+  const { x1, y1, x2, y2 } = element;
+  if (SHAPE_TOOL_TYPES.includes(element.type) && !isValidShapeStyle(element)) {
+    return false;
+  }
+  switch (element.type) {
+    case TOOL_ITEMS.BRUSH:
+      return (
+        Array.isArray(element.points) &&
+        element.points.length > 0 &&
+        element.points.every(
+          (point) =>
+            isFiniteNumber(point?.x) &&
+            isFiniteNumber(point?.y) &&
+            (point.pressure === undefined || isFiniteNumber(point.pressure))
+        ) &&
+        BRUSH_NUMBER_OPTIONS.every(
+          (option) =>
+            element[option] === undefined || isFiniteNumber(element[option])
+        ) &&
+        (element.isHighlighter === undefined ||
+          typeof element.isHighlighter === "boolean")
+      );
+    case TOOL_ITEMS.LINE:
+    case TOOL_ITEMS.ARROW:
+      return (
+        [x1, y1, x2, y2].every(isFiniteNumber) &&
+        (element.routing === undefined ||
+          Object.values(CONNECTOR_ROUTINGS).includes(element.routing)) &&
+        (element.isVerticalElbow === undefined ||
+          typeof element.isVerticalElbow === "boolean") &&
+        ["startBindingId", "endBindingId"].every(
+          (binding) =>
+            element[binding] === undefined ||
+            element[binding] === null ||
+            typeof element[binding] === "string"
+        )
+      );
+    case TOOL_ITEMS.RECTANGLE:
+    case TOOL_ITEMS.CIRCLE:
+    case TOOL_ITEMS.DIAMOND:
+    case TOOL_ITEMS.TRIANGLE:
+    case TOOL_ITEMS.STAR:
+      return [x1, y1, x2, y2].every(isFiniteNumber);
+    case TOOL_ITEMS.POLYGON:
+    case TOOL_ITEMS.POLYLINE:
+      return (
+        Array.isArray(element.points) &&
+        element.points.length > 0 &&
+        element.points.every(
+          (point) => isFiniteNumber(point?.x) && isFiniteNumber(point?.y)
+        )
+      );
+    case TOOL_ITEMS.STICKY:
+      return (
+        isFiniteNumber(x1) &&
+        isFiniteNumber(y1) &&
+        typeof element.text === "string" &&
+        typeof element.fill === "string" &&
+        isFiniteNumber(element.width) &&
+        element.width > 0 &&
+        isValidTextStyle(element)
+      );
+    case TOOL_ITEMS.TEXT:
+      return (
+        isFiniteNumber(x1) &&
+        isFiniteNumber(y1) &&
+        typeof element.text === "string" &&
+        isValidTextStyle(element) &&
+        (element.width === undefined ||
+          element.width === null ||
+          (isFiniteNumber(element.width) && element.width > 0))
+      );
+    case TOOL_ITEMS.IMAGE:
+      return (
+        [x1, y1, x2, y2].every(isFiniteNumber) &&
+        typeof element.src === "string"
+      );
+    default:
+      return false;
+  }
+};
+
+// Brings an element from any saved payload up to the current schema, or
+// returns null when it can't be rendered
+export const normalizeElement = (element, index) => {
+  if (!element || typeof element !== "object") return null;
+  const migrated = migrateElement(element, index);
+  if (!validateElement(migrated)) {
+    console.warn("Dropping invalid element:", element);
+    return null;
+  }
+  return migrated;
+};
+
+export const normalizeElements = (elements) =>
+  (Array.isArray(elements) ? elements : [])
+    .map(normalizeElement)
+    .filter(Boolean);
+
 export const getSvgPathFromStroke = (stroke) => {
   if (!stroke.length) return "";
 
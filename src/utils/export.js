@@ -0,0 +1,302 @@
+import rough from "roughjs/bin/rough";
+import {
+  EXPORT_MAX_CANVAS_AREA,
+  EXPORT_MAX_CANVAS_SIZE,
+  EXPORT_REGIONS,
+  HIGHLIGHTER_OPACITY,
+  PDF_PAGE_HEIGHT,
+  PDF_PAGE_WIDTH,
+  PDF_POINTS_PER_PIXEL,
+  TEXT_ALIGNS,
+  TOOL_ITEMS,
+} from "../constants";
+import {
+  getElementBounds,
+  getElementCenter,
+  getElementsBoundingBox,
+  getBrushOutline,
+  getRenderOrder,
+  getShapeStyle,
+  getStrokeLineDash,
+  getSvgPathFromStroke,
+  getTextStyle,
+  hydrateElement,
+} from "./element";
+import { loadImage } from "./image";
+import { createPdf } from "./pdf";
+import { drawElements, getTextLinePositions } from "./render";
+import { screenToBoard } from "./viewport";
+
+const gen = rough.generator();
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const CAVEAT_FONT_URL =
+  "https://fonts.googleapis.com/css2?family=Caveat:wght@400;700&display=swap";
+
+const SVG_TEXT_ANCHORS = {
+  [TEXT_ALIGNS.LEFT]: "start",
+  [TEXT_ALIGNS.CENTER]: "middle",
+  [TEXT_ALIGNS.RIGHT]: "end",
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const getTextSvg = (element) => {
+  const { fontFamily, isBold, isItalic, textAlign, fontSize } =
+    getTextStyle(element);
+  const lines = getTextLinePositions(element)
+    .map(
+      ({ line, x, y }) => `<tspan x="${x}" y="${y}">${escapeXml(line)}</tspan>`
+    )
+    .join("");
+  return `<text font-family="${escapeXml(fontFamily)}" font-size="${fontSize}" font-weight="${isBold ? "bold" : "normal"}" font-style="${isItalic ? "italic" : "normal"}" text-anchor="${SVG_TEXT_ANCHORS[textAlign]}" fill="${escapeXml(element.stroke)}" dominant-baseline="text-before-edge" xml:space="preserve">${lines}</text>`;
+};
+
+// rough.js gives one path per set it drew. Dashes only apply to the outline,
+// not to the lines of a hachure or other patterned fill.
+const getShapeSvg = (element) => {
+  const drawable = hydrateElement(element);
+  const strokeLineDash = getStrokeLineDash(element);
+  const { opacity } = getShapeStyle(element);
+  const paths = gen
+    .toPaths(drawable)
+    .map(({ d, stroke, strokeWidth, fill }, index) => {
+      const dash =
+        strokeLineDash && drawable.sets[index].type === "path"
+          ? ` stroke-dasharray="${strokeLineDash.join(" ")}"`
+          : "";
+      return `<path d="${d}" stroke="${escapeXml(stroke)}" stroke-width="${strokeWidth}" fill="${escapeXml(fill || "none")}"${dash} />`;
+    })
+    .join("");
+  return opacity < 1 ? `<g opacity="${opacity}">${paths}</g>` : paths;
+};
+
+const getElementSvg = (element) => {
+  switch (element.type) {
+    case TOOL_ITEMS.LINE:
+    case TOOL_ITEMS.RECTANGLE:
+    case TOOL_ITEMS.CIRCLE:
+    case TOOL_ITEMS.ARROW:
+    case TOOL_ITEMS.DIAMOND:
+    case TOOL_ITEMS.TRIANGLE:
+    case TOOL_ITEMS.STAR:
+    case TOOL_ITEMS.POLYGON:
+    case TOOL_ITEMS.POLYLINE:
+      return getShapeSvg(element);
+    case TOOL_ITEMS.BRUSH:
+      return `<path d="${getSvgPathFromStroke(
+        getBrushOutline(element)
+      )}" fill="${escapeXml(element.stroke)}"${
+        element.isHighlighter ? ` fill-opacity="${HIGHLIGHTER_OPACITY}"` : ""
+      } />`;
+    case TOOL_ITEMS.TEXT:
+      return getTextSvg(element);
+    case TOOL_ITEMS.STICKY: {
+      const { minX, minY, maxX, maxY } = getElementBounds(element);
+      return `<rect x="${minX}" y="${minY}" width="${maxX - minX}" height="${maxY - minY}" fill="${escapeXml(element.fill)}" />${getTextSvg(element)}`;
+    }
+    case TOOL_ITEMS.IMAGE: {
+      const { minX, minY, maxX, maxY } = getElementBounds(element);
+      return `<image x="${minX}" y="${minY}" width="${maxX - minX}" height="${maxY - minY}" href="${escapeXml(element.src)}" preserveAspectRatio="none" />`;
+    }
+    default:
+      throw new Error("Type not recognized");
+  }
+};
+
+// The part of the board to export, in board coordinates: either everything
+// drawn plus some padding, or what the window currently shows
+export const getExportBounds = (
+  elements,
+  { region, padding, viewport, width, height }
+) => {
+  if (region === EXPORT_REGIONS.VISIBLE) {
+    const topLeft = screenToBoard(0, 0, viewport);
+    const bottomRight = screenToBoard(width, height, viewport);
+    return {
+      minX: topLeft.x,
+      minY: topLeft.y,
+      maxX: bottomRight.x,
+      maxY: bottomRight.y,
+    };
+  }
+  const { minX, minY, maxX, maxY } = getElementsBoundingBox(elements);
+  return {
+    minX: minX - padding,
+    minY: minY - padding,
+    maxX: maxX + padding,
+    maxY: maxY + padding,
+  };
+};
+
+// Builds a standalone SVG document of the given elements, cropped to bounds.
+// Shapes use the same seeds as on the canvas, so the export looks exactly
+// like the board.
+export const getElementsSvg = (elements, { background, bounds }) => {
+  const { minX, minY, maxX, maxY } = bounds;
+  const width = Math.ceil(maxX - minX);
+  const height = Math.ceil(maxY - minY);
+  const content = getRenderOrder(elements)
+    .map((element) => {
+      const svg = getElementSvg(element);
+      if (!element.angle) return svg;
+      const { x, y } = getElementCenter(element);
+      const degrees = (element.angle * 180) / Math.PI;
+      return `<g transform="rotate(${degrees} ${x} ${y})">${svg}</g>`;
+    })
+    .join("");
+  return [
+    `<svg xmlns="${SVG_NAMESPACE}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs><style>@import url("${escapeXml(CAVEAT_FONT_URL)}");</style></defs>`,
+    background
+      ? `<rect width="100%" height="100%" fill="${escapeXml(background)}" />`
+      : "",
+    `<g transform="translate(${-minX} ${-minY})">${content}</g>`,
+    "</svg>",
+  ].join("");
+};
+
+// Big boards at a high scale can exceed what a browser canvas holds, in which
+// case the scale is lowered until it fits
+const getCanvasScale = ({ minX, minY, maxX, maxY }, scale) => {
+  const width = Math.max(maxX - minX, 1);
+  const height = Math.max(maxY - minY, 1);
+  return Math.min(
+    scale,
+    EXPORT_MAX_CANVAS_SIZE / Math.max(width, height),
+    Math.sqrt(EXPORT_MAX_CANVAS_AREA / (width * height))
+  );
+};
+
+// Renders to an offscreen canvas rather than copying the on-screen one, so
+// the export doesn't depend on the window size, zoom or selection overlay
+const renderElementsToCanvas = (elements, { bounds, scale, background }) => {
+  const canvasScale = getCanvasScale(bounds, scale);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(
+    1,
+    Math.ceil((bounds.maxX - bounds.minX) * canvasScale)
+  );
+  canvas.height = Math.max(
+    1,
+    Math.ceil((bounds.maxY - bounds.minY) * canvasScale)
+  );
+  const context = canvas.getContext("2d");
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.setTransform(
+    canvasScale,
+    0,
+    0,
+    canvasScale,
+    -bounds.minX * canvasScale,
+    -bounds.minY * canvasScale
+  );
+  drawElements(canvas, context, elements);
+  return canvas;
+};
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("The image could not be created."));
+        }
+      },
+      type,
+      quality
+    );
+  });
+
+// The board skips images that haven't loaded yet, but an export has to wait
+// for them
+const loadElementImages = (elements) =>
+  Promise.all(
+    elements
+      .filter((element) => element.type === TOOL_ITEMS.IMAGE)
+      .map((element) => loadImage(element.src))
+  );
+
+export const exportElementsToImage = async (
+  elements,
+  { type, bounds, scale, background, quality }
+) => {
+  await loadElementImages(elements);
+  return canvasToBlob(
+    renderElementsToCanvas(elements, { bounds, scale, background }),
+    type,
+    quality
+  );
+};
+
+// Splits the bounds into page-sized tiles, turning the pages sideways when
+// the content is wider than it is tall
+const getPageTiles = (bounds) => {
+  const isLandscape = bounds.maxX - bounds.minX > bounds.maxY - bounds.minY;
+  const pageWidth =
+    (isLandscape ? PDF_PAGE_HEIGHT : PDF_PAGE_WIDTH) / PDF_POINTS_PER_PIXEL;
+  const pageHeight =
+    (isLandscape ? PDF_PAGE_WIDTH : PDF_PAGE_HEIGHT) / PDF_POINTS_PER_PIXEL;
+  const columns = Math.ceil((bounds.maxX - bounds.minX) / pageWidth);
+  const rows = Math.ceil((bounds.maxY - bounds.minY) / pageHeight);
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const minX = bounds.minX + column * pageWidth;
+      const minY = bounds.minY + row * pageHeight;
+      tiles.push({
+        minX,
+        minY,
+        maxX: minX + pageWidth,
+        maxY: minY + pageHeight,
+      });
+    }
+  }
+  return tiles;
+};
+
+// A single page the size of the bounds, or the bounds spread over as many
+// A4 pages as they need. PDF pages are JPEGs, so they always get a background.
+export const exportElementsToPdf = async (
+  elements,
+  { bounds, scale, background, quality, multiPage }
+) => {
+  await loadElementImages(elements);
+  const tiles = multiPage ? getPageTiles(bounds) : [bounds];
+  const pages = [];
+  for (const tile of tiles) {
+    const canvas = renderElementsToCanvas(elements, {
+      bounds: tile,
+      scale,
+      background,
+    });
+    const blob = await canvasToBlob(canvas, "image/jpeg", quality);
+    pages.push({
+      jpeg: new Uint8Array(await blob.arrayBuffer()),
+      imageWidth: canvas.width,
+      imageHeight: canvas.height,
+      width: (tile.maxX - tile.minX) * PDF_POINTS_PER_PIXEL,
+      height: (tile.maxY - tile.minY) * PDF_POINTS_PER_PIXEL,
+    });
+  }
+  return createPdf(pages);
+};
+
+export const downloadFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,99 @@
+import { HISTORY_MAX_DEPTH } from "../constants";
+import { insertElementByOrder } from "./operations";
+
+// A history entry records only what an edit touched: for each element, the
+// version before and after it ({ id, before, after }, with null where the
+// element didn't exist). Undo and redo apply the difference between those
+// versions, so history grows with the size of each edit rather than the size
+// of the board. Only local edits are recorded; remote operations never are.
+export const createHistoryEntry = (label, changes) => ({
+  label,
+  changes: changes.filter(({ before, after }) => before !== after),
+});
+
+// Before and after versions of every element in beforeById, taken from the
+// current elements
+export const getElementChanges = (beforeById, elements) => {
+  const elementsById = new Map(elements.map((element) => [element.id, element]));
+  return Object.keys(beforeById).map((id) => ({
+    id,
+    before: beforeById[id],
+    after: elementsById.get(id) ?? null,
+  }));
+};
+
+// Ids of every element the entries changed
+export const getHistoryEntryIds = (entries) => [
+  ...new Set(entries.flatMap((entry) => entry.changes.map(({ id }) => id))),
+];
+
+// Adds an entry after the current position, dropping anything that could
+// have been redone and the oldest entries beyond HISTORY_MAX_DEPTH. index is
+// the number of entries currently applied.
+export const pushHistoryEntry = (history, index, entry) => {
+  const newHistory = [...history.slice(0, index), entry].slice(
+    -HISTORY_MAX_DEPTH
+  );
+  return { history: newHistory, index: newHistory.length };
+};
+
+// Version stamps belong to the sync layer, not to the edit
+const SYNC_FIELDS = ["version", "updatedBy"];
+
+// Writes back only the fields the edit changed between the two versions, so
+// whatever a collaborator has changed on the same element since is kept
+const patchElement = (current, from, to) => {
+  const patched = { ...current };
+  let isChanged = false;
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((key) => {
+    if (SYNC_FIELDS.includes(key) || from[key] === to[key]) return;
+    if (key in to) {
+      isChanged = isChanged || patched[key] !== to[key];
+      patched[key] = to[key];
+    } else if (key in patched) {
+      isChanged = true;
+      delete patched[key];
+    }
+  });
+  return isChanged ? patched : current;
+};
+
+// Undo and redo are inverse operations on the board as it is now, which may
+// include other people's edits made since: only the local user's changes
+// are reverted or reapplied
+const applyElementChanges = (elements, changes) =>
+  changes.reduce((newElements, { id, from, to }) => {
+    const current = newElements.find((element) => element.id === id);
+    if (!to) {
+      return current
+        ? newElements.filter((element) => element.id !== id)
+        : newElements;
+    }
+    if (!current) {
+      // An element the edit only changed stays deleted if someone else
+      // deleted it
+      return from ? newElements : insertElementByOrder(newElements, to);
+    }
+    const patched = from ? patchElement(current, from, to) : to;
+    return patched === current
+      ? newElements
+      : newElements.map((element) => (element.id === id ? patched : element));
+  }, elements);
+
+export const undoHistoryEntry = (elements, entry) =>
+  applyElementChanges(
+    elements,
+    [...entry.changes]
+      .reverse()
+      .map(({ id, before, after }) => ({ id, from: after, to: before }))
+  );
+
+export const redoHistoryEntry = (elements, entry) =>
+  applyElementChanges(
+    elements,
+    entry.changes.map(({ id, before, after }) => ({
+      id,
+      from: before,
+      to: after,
+    }))
+  );
@@ -0,0 +1,89 @@
+import {
+  createHistoryEntry,
+  redoHistoryEntry,
+  undoHistoryEntry,
+} from "./history";
+
+const rectangle = (fields = {}) => ({
+  id: "a",
+  type: "RECTANGLE",
+  order: 1,
+  x1: 0,
+  y1: 0,
+  x2: 10,
+  y2: 10,
+  stroke: "#000000",
+  version: 1,
+  updatedBy: "alice",
+  ...fields,
+});
+
+// The local user moves the rectangle 50px to the right
+const before = rectangle();
+const after = rectangle({ x1: 50, x2: 60, version: 2 });
+const moveEntry = createHistoryEntry("Move", [{ id: "a", before, after }]);
+
+describe("undoHistoryEntry", () => {
+  it("keeps a remote edit to a different field", () => {
+    const remote = {
+      ...after,
+      stroke: "#ff0000",
+      version: 3,
+      updatedBy: "bob",
+    };
+    expect(undoHistoryEntry([remote], moveEntry)).toEqual([
+      { ...remote, x1: 0, x2: 10 },
+    ]);
+  });
+
+  it("writes back the fields it changed over a remote edit to them", () => {
+    const remote = { ...after, x1: 80, version: 3, updatedBy: "bob" };
+    expect(undoHistoryEntry([remote], moveEntry)).toEqual([
+      { ...remote, x1: 0, x2: 10 },
+    ]);
+  });
+
+  it("leaves a creation alone when a remote user deleted it", () => {
+    const created = rectangle();
+    const other = rectangle({ id: "b", order: 2 });
+    const createEntry = createHistoryEntry("Rectangle", [
+      { id: "a", before: null, after: created },
+    ]);
+    const elements = [other];
+    expect(undoHistoryEntry(elements, createEntry)).toBe(elements);
+  });
+
+  it("removes a creation that is still on the board", () => {
+    const created = rectangle();
+    const createEntry = createHistoryEntry("Rectangle", [
+      { id: "a", before: null, after: created },
+    ]);
+    expect(undoHistoryEntry([created], createEntry)).toEqual([]);
+  });
+});
+
+describe("redoHistoryEntry", () => {
+  it("reapplies an undone edit on top of remote edits", () => {
+    const remote = {
+      ...after,
+      stroke: "#ff0000",
+      version: 3,
+      updatedBy: "bob",
+    };
+    const undone = undoHistoryEntry([remote], moveEntry);
+    expect(redoHistoryEntry(undone, moveEntry)).toEqual([remote]);
+  });
+
+  it("brings back an undone creation", () => {
+    const created = rectangle();
+    const createEntry = createHistoryEntry("Rectangle", [
+      { id: "a", before: null, after: created },
+    ]);
+    const undone = undoHistoryEntry([created], createEntry);
+    expect(redoHistoryEntry(undone, createEntry)).toEqual([created]);
+  });
+
+  it("doesn't bring back an edited element a remote user deleted", () => {
+    expect(redoHistoryEntry([], moveEntry)).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  IMAGE_GAP,
+  IMAGE_JPEG_QUALITY,
+  IMAGE_MAX_SIZE,
+  TOOL_ITEMS,
+} from "../constants";
+import { createElement, createElementId } from "./element";
+
+const imageCache = new Map();
+const loadListeners = new Set();
+
+// Image elements only carry their source, so the decoded picture is kept here
+// per source and shared by every element and render that uses it
+export const loadImage = (src) => {
+  if (!imageCache.has(src)) {
+    const entry = { image: new Image(), isLoaded: false };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.image.onload = () => {
+        entry.isLoaded = true;
+        loadListeners.forEach((listener) => listener());
+        resolve(entry.image);
+      };
+      entry.image.onerror = () =>
+        reject(new Error("The image could not be loaded."));
+    });
+    entry.image.src = src;
+    imageCache.set(src, entry);
+  }
+  return imageCache.get(src).promise;
+};
+
+// Returns the picture if it has finished loading, and otherwise starts
+// loading it and returns null; subscribers are told when it arrives so the
+// board can draw again
+export const getLoadedImage = (src) => {
+  const entry = imageCache.get(src);
+  if (entry) return entry.isLoaded ? entry.image : null;
+  loadImage(src).catch((error) => console.error(error));
+  return null;
+};
+
+export const subscribeToImageLoads = (listener) => {
+  loadListeners.add(listener);
+  return () => {
+    loadListeners.delete(listener);
+  };
+};
+
+const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// Turns an image file into a data URL small enough to store in an element
+// and send to collaborators, downscaling it to IMAGE_MAX_SIZE on its longest
+// side. Resolves to { src, width, height }.
+export const readImageFile = async (file) => {
+  const dataUrl = await readFileAsDataUrl(file);
+  const image = await loadImage(dataUrl);
+  const { naturalWidth, naturalHeight } = image;
+  const scale = Math.min(
+    1,
+    IMAGE_MAX_SIZE / Math.max(naturalWidth, naturalHeight)
+  );
+  if (scale === 1) {
+    return { src: dataUrl, width: naturalWidth, height: naturalHeight };
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(naturalWidth * scale);
+  canvas.height = Math.round(naturalHeight * scale);
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  // Photos compress far better as JPEG; anything else may be transparent
+  const type = file.type === "image/jpeg" ? "image/jpeg" : "image/png";
+  return {
+    src: canvas.toDataURL(type, IMAGE_JPEG_QUALITY),
+    width: canvas.width,
+    height: canvas.height,
+  };
+};
+
+export const isImageFile = (file) => file.type.startsWith("image/");
+
+// Reads every image among the files into an image element, laid out left to
+// right so that several dropped at once don't cover each other
+export const readImageElements = async (files) => {
+  const images = await Promise.all(
+    Array.from(files).filter(isImageFile).map(readImageFile)
+  );
+  let x = 0;
+  return images.map(({ src, width, height }) => {
+    const element = createElement(createElementId(), x, 0, x + width, height, {
+      type: TOOL_ITEMS.IMAGE,
+      src,
+    });
+    x += width + IMAGE_GAP;
+    return element;
+  });
+};
@@ -40,3 +40,26 @@ const distanceBetweenPoints = (x1, y1, x2, y2) => {
   const dy = y2 - y1;
   return Math.sqrt(dx * dx + dy * dy);
 };
+
+export const distanceToSegment = (x1, y1, x2, y2, pointX, pointY) => {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  // Where the point projects onto the segment, clamped to its ends
+  const t = lengthSquared
+    ? Math.max(
+        0,
+        Math.min(1, ((pointX - x1) * dx + (pointY - y1) * dy) / lengthSquared)
+      )
+    : 0;
+  return distanceBetweenPoints(x1 + t * dx, y1 + t * dy, pointX, pointY);
+};
+
+export const rotatePoint = (x, y, cx, cy, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: cx + (x - cx) * cos - (y - cy) * sin,
+    y: cy + (x - cx) * sin + (y - cy) * cos,
+  };
+};
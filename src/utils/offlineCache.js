@@ -0,0 +1,48 @@
+const DB_NAME = "whiteboard";
+const DB_VERSION = 1;
+const CANVAS_STORE = "canvases";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CANVAS_STORE, {
+          keyPath: "canvasId",
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of caching the failure forever
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CANVAS_STORE, mode);
+    const request = createRequest(transaction.objectStore(CANVAS_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// A cached canvas is { canvasId, elements, pendingOperations, offlineBase,
+// updatedAt }, where pendingOperations are local changes the server hasn't
+// received yet and offlineBase identifies the server copy they were made on
+export const loadCachedCanvas = (canvasId) =>
+  runRequest("readonly", (store) => store.get(canvasId)).then(
+    (record) => record ?? null
+  );
+
+export const saveCachedCanvas = (canvas) =>
+  runRequest("readwrite", (store) =>
+    store.put({ ...canvas, updatedAt: Date.now() })
+  );
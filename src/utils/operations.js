@@ -0,0 +1,177 @@
+import { ELEMENT_OPERATIONS } from "../constants";
+import { CLIENT_ID } from "./client";
+import { normalizeElement } from "./element";
+
+// Describes the change between two element arrays as add / update / delete
+// operations keyed by element id. The reducer never mutates elements, so a
+// new object reference is enough to tell that an element changed.
+export const diffElements = (prevElements, nextElements) => {
+  const prevById = new Map(prevElements.map((element) => [element.id, element]));
+  const nextIds = new Set(nextElements.map((element) => element.id));
+  const operations = prevElements
+    .filter((element) => !nextIds.has(element.id))
+    .map((element) => ({ type: ELEMENT_OPERATIONS.DELETE, id: element.id }));
+  nextElements.forEach((element) => {
+    const prevElement = prevById.get(element.id);
+    if (!prevElement) {
+      operations.push({
+        type: ELEMENT_OPERATIONS.ADD,
+        id: element.id,
+        element,
+      });
+    } else if (prevElement !== element) {
+      operations.push({
+        type: ELEMENT_OPERATIONS.UPDATE,
+        id: element.id,
+        element,
+      });
+    }
+  });
+  return operations;
+};
+
+// Tags local operations with a Lamport clock value. Each client keeps its
+// clock ahead of every version it has seen, so a stamped edit always beats
+// whatever it was made on top of.
+export const stampOperations = (operations, version) =>
+  operations.map((operation) =>
+    operation.type === ELEMENT_OPERATIONS.DELETE
+      ? { ...operation, version, updatedBy: CLIENT_ID }
+      : {
+          ...operation,
+          element: { ...operation.element, version, updatedBy: CLIENT_ID },
+        }
+  );
+
+// Folds a queue of operations down to at most one per element, so a stroke
+// that moved a hundred times while throttled goes out as a single update
+export const compactOperations = (operations) => {
+  const byId = new Map();
+  operations.forEach((operation) => {
+    const previous = byId.get(operation.id);
+    if (previous?.type === ELEMENT_OPERATIONS.ADD) {
+      if (operation.type === ELEMENT_OPERATIONS.DELETE) {
+        byId.delete(operation.id);
+      } else {
+        byId.set(operation.id, {
+          ...operation,
+          type: ELEMENT_OPERATIONS.ADD,
+        });
+      }
+      return;
+    }
+    byId.set(operation.id, operation);
+  });
+  return [...byId.values()];
+};
+
+export const getOperationVersion = (operation) =>
+  (operation.type === ELEMENT_OPERATIONS.DELETE
+    ? operation.version
+    : operation.element?.version) ?? 0;
+
+// Last writer wins: the higher version, with the client id breaking ties so
+// every client picks the same winner
+const isNewerThan = (a, b) =>
+  (a.version ?? 0) > (b.version ?? 0) ||
+  ((a.version ?? 0) === (b.version ?? 0) &&
+    (a.updatedBy ?? "") > (b.updatedBy ?? ""));
+
+// Elements are kept sorted by stacking order, with the id breaking ties
+const comesBefore = (a, b) =>
+  (a.order ?? 0) < (b.order ?? 0) ||
+  ((a.order ?? 0) === (b.order ?? 0) && String(a.id) < String(b.id));
+
+// Returns a copy of elements with element inserted at its stacking position
+export const insertElementByOrder = (elements, element) => {
+  const insertAt = elements.findIndex((other) => comesBefore(element, other));
+  return insertAt < 0
+    ? [...elements, element]
+    : [...elements.slice(0, insertAt), element, ...elements.slice(insertAt)];
+};
+
+// Merges remote operations into the local board. Tombstones remember deletes
+// so a late update can't bring an element back. Elements in lockedIds are
+// being drawn or transformed locally and keep their local version; the
+// local update sent when the gesture ends is stamped later and wins anyway.
+// Operations come straight from other clients, so ones of an unknown kind,
+// or whose element isn't the one they are for, are skipped rather than
+// allowed to break the board for everyone.
+export const applyOperations = (
+  elements,
+  tombstones,
+  operations,
+  lockedIds = []
+) => {
+  let newElements = [...elements];
+  const newTombstones = { ...tombstones };
+  operations.forEach((operation) => {
+    if (lockedIds.includes(operation.id)) return;
+    const index = newElements.findIndex(
+      (element) => element.id === operation.id
+    );
+    const current = newElements[index];
+    switch (operation.type) {
+      case ELEMENT_OPERATIONS.ADD:
+      case ELEMENT_OPERATIONS.UPDATE: {
+        const { element } = operation;
+        if (element?.id !== operation.id) break;
+        const tombstone = newTombstones[operation.id];
+        if (tombstone && !isNewerThan(element, tombstone)) break;
+        if (current && !isNewerThan(element, current)) break;
+        if (current) {
+          newElements.splice(index, 1);
+        }
+        newElements = insertElementByOrder(newElements, element);
+        break;
+      }
+      case ELEMENT_OPERATIONS.DELETE: {
+        if (current && isNewerThan(current, operation)) break;
+        const tombstone = newTombstones[operation.id];
+        if (!tombstone || isNewerThan(operation, tombstone)) {
+          newTombstones[operation.id] = {
+            version: operation.version,
+            updatedBy: operation.updatedBy,
+          };
+        }
+        if (current) {
+          newElements = newElements.filter(
+            (element) => element.id !== operation.id
+          );
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return { elements: newElements, tombstones: newTombstones };
+};
+
+// Identifies a board by which version of each element it holds, to tell
+// whether the server copy moved on while this client was offline
+export const getElementVersionsKey = (elements) =>
+  elements.map((element) => `${element.id}@${element.version ?? 0}`).join(",");
+
+// Operations from other clients or an older offline cache may hold elements
+// in an older schema, so they are migrated and unusable ones dropped, along
+// with operations of a kind this client doesn't know and ones whose element
+// isn't the one they are for
+export const normalizeOperations = (operations) =>
+  operations.flatMap((operation) => {
+    if (
+      !operation ||
+      !Object.values(ELEMENT_OPERATIONS).includes(operation.type)
+    ) {
+      console.warn("Dropping invalid operation:", operation);
+      return [];
+    }
+    if (operation.type === ELEMENT_OPERATIONS.DELETE) return [operation];
+    const element = normalizeElement(operation.element);
+    if (!element) return [];
+    if (element.id !== operation.id) {
+      console.warn("Dropping invalid operation:", operation);
+      return [];
+    }
+    return [{ ...operation, element }];
+  });
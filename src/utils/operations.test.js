@@ -0,0 +1,167 @@
+import { ELEMENT_OPERATIONS } from "../constants";
+import { applyOperations, insertElementByOrder } from "./operations";
+
+const element = (id, version, updatedBy, fields = {}) => ({
+  id,
+  type: "RECTANGLE",
+  order: 1,
+  x1: 0,
+  y1: 0,
+  x2: 10,
+  y2: 10,
+  version,
+  updatedBy,
+  ...fields,
+});
+
+const add = (id, version, updatedBy, fields) => ({
+  type: ELEMENT_OPERATIONS.ADD,
+  id,
+  element: element(id, version, updatedBy, fields),
+});
+
+const update = (id, version, updatedBy, fields) => ({
+  type: ELEMENT_OPERATIONS.UPDATE,
+  id,
+  element: element(id, version, updatedBy, fields),
+});
+
+const remove = (id, version, updatedBy) => ({
+  type: ELEMENT_OPERATIONS.DELETE,
+  id,
+  version,
+  updatedBy,
+});
+
+// Applies the operations one at a time, as a client receiving them would
+const receive = (operations, board = { elements: [], tombstones: {} }) =>
+  operations.reduce(
+    (current, operation) =>
+      applyOperations(current.elements, current.tombstones, [operation]),
+    board
+  );
+
+const permutations = (items) =>
+  items.length <= 1
+    ? [items]
+    : items.flatMap((item, index) =>
+        permutations([
+          ...items.slice(0, index),
+          ...items.slice(index + 1),
+        ]).map((rest) => [item, ...rest])
+      );
+
+const expectConvergence = (operations) => {
+  const [first, ...others] = permutations(operations).map((order) =>
+    receive(order)
+  );
+  others.forEach((board) => expect(board).toEqual(first));
+  return first;
+};
+
+describe("applyOperations", () => {
+  it("converges whatever order the operations arrive in", () => {
+    const board = expectConvergence([
+      add("a", 1, "alice"),
+      update("a", 2, "alice", { x1: 5 }),
+      update("a", 3, "bob", { x1: 10 }),
+      add("b", 1, "bob", { order: 2 }),
+      remove("b", 2, "alice"),
+    ]);
+    expect(board.elements).toEqual([element("a", 3, "bob", { x1: 10 })]);
+    expect(board.tombstones).toEqual({
+      b: { version: 2, updatedBy: "alice" },
+    });
+  });
+
+  it("breaks version ties by the higher client id", () => {
+    const board = expectConvergence([
+      add("a", 1, "alice"),
+      update("a", 2, "alice", { x1: 5 }),
+      update("a", 2, "bob", { x1: 10 }),
+    ]);
+    expect(board.elements).toEqual([element("a", 2, "bob", { x1: 10 })]);
+  });
+
+  it("breaks ties between an update and a delete the same way", () => {
+    const board = expectConvergence([
+      add("a", 1, "alice"),
+      update("a", 2, "alice", { x1: 5 }),
+      remove("a", 2, "bob"),
+    ]);
+    expect(board.elements).toEqual([]);
+    expect(board.tombstones.a).toEqual({ version: 2, updatedBy: "bob" });
+  });
+
+  it("keeps a deleted element deleted when an older update arrives late", () => {
+    const board = receive([
+      add("a", 1, "alice"),
+      remove("a", 3, "bob"),
+      update("a", 2, "alice", { x1: 5 }),
+      add("a", 1, "alice"),
+    ]);
+    expect(board.elements).toEqual([]);
+    expect(board.tombstones.a).toEqual({ version: 3, updatedBy: "bob" });
+  });
+
+  it("ignores a delete older than the element it would remove", () => {
+    const board = receive([
+      add("a", 1, "alice"),
+      update("a", 3, "alice", { x1: 5 }),
+      remove("a", 2, "bob"),
+    ]);
+    expect(board.elements).toEqual([element("a", 3, "alice", { x1: 5 })]);
+    expect(board.tombstones).toEqual({});
+  });
+
+  it("leaves locked elements alone and still applies the rest", () => {
+    const local = element("a", 1, "alice");
+    const { elements, tombstones } = applyOperations(
+      [local],
+      {},
+      [
+        update("a", 2, "bob", { x1: 5 }),
+        remove("a", 3, "bob"),
+        add("b", 1, "bob", { order: 2 }),
+      ],
+      ["a"]
+    );
+    expect(elements).toEqual([local, element("b", 1, "bob", { order: 2 })]);
+    expect(tombstones).toEqual({});
+  });
+
+  it("converges once the locked element's local update is sent", () => {
+    const remoteUpdate = update("a", 2, "bob", { x1: 5 });
+    const localUpdate = update("a", 3, "alice", { x1: 20 });
+    const lockedBoard = applyOperations(
+      [element("a", 1, "alice")],
+      {},
+      [remoteUpdate],
+      ["a"]
+    );
+    const local = receive([localUpdate], lockedBoard);
+    const remote = receive([add("a", 1, "alice"), remoteUpdate, localUpdate]);
+    expect(local).toEqual(remote);
+    expect(local.elements).toEqual([element("a", 3, "alice", { x1: 20 })]);
+  });
+
+  it("skips operations whose element isn't the one they are for", () => {
+    const board = receive([
+      add("a", 1, "alice"),
+      { type: ELEMENT_OPERATIONS.UPDATE, id: "a", element: element("b", 2) },
+      { type: "move", id: "a" },
+    ]);
+    expect(board.elements).toEqual([element("a", 1, "alice")]);
+  });
+});
+
+describe("insertElementByOrder", () => {
+  it("stacks elements by order, then id", () => {
+    const elements = [
+      element("c", 1, "alice", { order: 2 }),
+      element("b", 1, "alice", { order: 1 }),
+      element("a", 1, "alice", { order: 2 }),
+    ].reduce(insertElementByOrder, []);
+    expect(elements.map(({ id }) => id)).toEqual(["b", "a", "c"]);
+  });
+});
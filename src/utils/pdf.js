@@ -0,0 +1,68 @@
+// Writes a PDF with one full-page JPEG per page. That is all the exporter
+// needs, so there is no PDF library to pull in. Each page is
+// { jpeg: Uint8Array, imageWidth, imageHeight, width, height }, with the
+// image size in pixels and the page size in points.
+export const createPdf = (pages) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  const writeObject = (id, dictionary, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      write("stream\n");
+      write(stream);
+      write("\nendstream\n");
+    }
+    write("endobj\n");
+  };
+
+  // Objects 1 and 2 are the catalog and page tree; every page then takes
+  // three: the page itself, its content stream and its image
+  const getPageId = (index) => 3 + index * 3;
+
+  write("%PDF-1.4\n");
+  writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  const kids = pages.map((_, index) => `${getPageId(index)} 0 R`).join(" ");
+  writeObject(2, `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+
+  pages.forEach((page, index) => {
+    const pageId = getPageId(index);
+    const contentId = pageId + 1;
+    const imageId = pageId + 2;
+    const content = encoder.encode(
+      `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`
+    );
+    writeObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+        `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+    writeObject(contentId, `<< /Length ${content.length} >>`, content);
+    writeObject(
+      imageId,
+      `<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+      page.jpeg
+    );
+  });
+
+  const objectCount = getPageId(pages.length);
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  }
+  write(
+    `trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  );
+  return new Blob(chunks, { type: "application/pdf" });
+};
@@ -0,0 +1,93 @@
+import {
+  AUTOSAVE_DEBOUNCE_MS,
+  AUTOSAVE_MAX_RETRY_MS,
+  AUTOSAVE_RETRY_MS,
+  SAVE_STATUS,
+} from "../constants";
+import { updateCanvas } from "./api";
+
+// Saves boards to the server a moment after the last change. Only the latest
+// elements of each canvas are kept, so a burst of edits becomes one request,
+// and a failed save is retried with a growing delay until it goes through.
+export const createCanvasSaver = (onStatusChange) => {
+  const pending = new Map();
+  let debounceTimeout = null;
+  let retryTimeout = null;
+  let retryCount = 0;
+  let isSaving = false;
+  let status = SAVE_STATUS.SAVED;
+
+  const setStatus = (newStatus) => {
+    if (newStatus === status) return;
+    status = newStatus;
+    onStatusChange(newStatus);
+  };
+
+  const saveNext = async () => {
+    if (isSaving || pending.size === 0) return;
+    const [canvasId, elements] = pending.entries().next().value;
+    pending.delete(canvasId);
+    isSaving = true;
+    try {
+      await updateCanvas(canvasId, elements);
+      retryCount = 0;
+      isSaving = false;
+      if (pending.size > 0) {
+        saveNext();
+      } else {
+        setStatus(SAVE_STATUS.SAVED);
+      }
+    } catch (error) {
+      console.error("Error saving canvas:", error.response?.data || error.message);
+      isSaving = false;
+      // A newer edit made while this request was in flight takes precedence
+      if (!pending.has(canvasId)) {
+        pending.set(canvasId, elements);
+      }
+      setStatus(SAVE_STATUS.OFFLINE);
+      const delay = Math.min(
+        AUTOSAVE_RETRY_MS * 2 ** retryCount,
+        AUTOSAVE_MAX_RETRY_MS
+      );
+      retryCount += 1;
+      retryTimeout = setTimeout(saveNext, delay);
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(debounceTimeout);
+    clearTimeout(retryTimeout);
+    saveNext();
+  };
+
+  const schedule = (canvasId, elements) => {
+    pending.set(canvasId, elements);
+    if (retryCount === 0) {
+      setStatus(SAVE_STATUS.SAVING);
+    }
+    clearTimeout(debounceTimeout);
+    debounceTimeout = setTimeout(flush, AUTOSAVE_DEBOUNCE_MS);
+  };
+
+  const dispose = () => {
+    clearTimeout(debounceTimeout);
+    clearTimeout(retryTimeout);
+  };
+
+  // Drops whatever hasn't been saved yet, for when another mechanism has
+  // taken over getting those changes to the server
+  const cancel = () => {
+    dispose();
+    pending.clear();
+    retryCount = 0;
+    setStatus(SAVE_STATUS.SAVED);
+  };
+
+  return {
+    schedule,
+    flush,
+    dispose,
+    cancel,
+    hasPendingChanges: () => isSaving || pending.size > 0,
+  };
+};
@@ -0,0 +1,130 @@
+import rough from "roughjs";
+import {
+  ERASE_PREVIEW_OPACITY,
+  HIGHLIGHTER_OPACITY,
+  STICKY_SHADOW_COLOR,
+  TEXT_ALIGNS,
+  TOOL_ITEMS,
+} from "../constants";
+import {
+  getElementBounds,
+  getElementCenter,
+  getRenderOrder,
+  getShapeStyle,
+  getTextFont,
+  getTextLayout,
+  getTextOrigin,
+  getTextStyle,
+  hydrateElement,
+} from "./element";
+import { getLoadedImage } from "./image";
+
+// Where each line of a text element starts, following its alignment. Lines
+// sit in the middle of their line height, as they do in the textarea used to
+// edit them.
+export const getTextLinePositions = (element) => {
+  const { lines, lineHeight, width } = getTextLayout(element);
+  const { textAlign, fontSize } = getTextStyle(element);
+  const origin = getTextOrigin(element);
+  const x =
+    origin.x +
+    (textAlign === TEXT_ALIGNS.CENTER
+      ? width / 2
+      : textAlign === TEXT_ALIGNS.RIGHT
+      ? width
+      : 0);
+  return lines.map((line, index) => ({
+    line,
+    x,
+    y: origin.y + index * lineHeight + (lineHeight - fontSize) / 2,
+  }));
+};
+
+const drawText = (context, element) => {
+  context.textBaseline = "top";
+  context.textAlign = getTextStyle(element).textAlign;
+  context.font = getTextFont(element);
+  context.fillStyle = element.stroke;
+  getTextLinePositions(element).forEach(({ line, x, y }) =>
+    context.fillText(line, x, y)
+  );
+};
+
+export const rotateContext = (context, element) => {
+  if (!element.angle) return;
+  const { x, y } = getElementCenter(element);
+  context.translate(x, y);
+  context.rotate(element.angle);
+  context.translate(-x, -y);
+};
+
+// Draws elements in board coordinates with whatever transform the context
+// already has, so the board and the exporters render them the same way.
+// Elements in fadedElementIds (about to be erased) are drawn see-through, and
+// those in editingTextIds without their text, which the textarea editing it
+// shows instead.
+export const drawElements = (
+  canvas,
+  context,
+  elements,
+  { fadedElementIds = [], editingTextIds = [] } = {}
+) => {
+  const roughCanvas = rough.canvas(canvas);
+  getRenderOrder(elements).forEach((element) => {
+    const isEditingText = editingTextIds.includes(element.id);
+    context.save();
+    rotateContext(context, element);
+    if (fadedElementIds.includes(element.id)) {
+      context.globalAlpha = ERASE_PREVIEW_OPACITY;
+    }
+    switch (element.type) {
+      case TOOL_ITEMS.LINE:
+      case TOOL_ITEMS.RECTANGLE:
+      case TOOL_ITEMS.CIRCLE:
+      case TOOL_ITEMS.ARROW:
+      case TOOL_ITEMS.DIAMOND:
+      case TOOL_ITEMS.TRIANGLE:
+      case TOOL_ITEMS.STAR:
+      case TOOL_ITEMS.POLYGON:
+      case TOOL_ITEMS.POLYLINE:
+        context.globalAlpha *= getShapeStyle(element).opacity;
+        roughCanvas.draw(hydrateElement(element));
+        break;
+      case TOOL_ITEMS.BRUSH:
+        if (element.isHighlighter) {
+          context.globalAlpha *= HIGHLIGHTER_OPACITY;
+        }
+        context.fillStyle = element.stroke;
+        context.fill(hydrateElement(element));
+        break;
+      case TOOL_ITEMS.TEXT:
+        if (!isEditingText) drawText(context, element);
+        break;
+      case TOOL_ITEMS.STICKY: {
+        const { minX, minY, maxX, maxY } = getElementBounds(element);
+        context.save();
+        context.shadowColor = STICKY_SHADOW_COLOR;
+        context.shadowBlur = 8;
+        context.shadowOffsetY = 2;
+        context.fillStyle = element.fill;
+        context.fillRect(minX, minY, maxX - minX, maxY - minY);
+        context.restore();
+        if (!isEditingText) drawText(context, element);
+        break;
+      }
+      case TOOL_ITEMS.IMAGE: {
+        // Not loaded yet; the board draws again once it is
+        const image = getLoadedImage(element.src);
+        if (image) {
+          const { minX, minY, maxX, maxY } = getElementBounds(element);
+          context.drawImage(image, minX, minY, maxX - minX, maxY - minY);
+        }
+        break;
+      }
+      default:
+        console.error("Type not recognized:", element.type);
+        throw new Error("Type not recognized");
+    }
+    context.restore();
+  });
+};
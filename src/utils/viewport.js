@@ -0,0 +1,48 @@
+import { MAX_ZOOM, MIN_ZOOM, ZOOM_FIT_PADDING } from "../constants";
+
+// A viewport maps board coordinates to the screen as screen = board * zoom + offset
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 1 };
+
+export const screenToBoard = (screenX, screenY, { x, y, zoom }) => {
+  return {
+    x: (screenX - x) / zoom,
+    y: (screenY - y) / zoom,
+  };
+};
+
+export const boardToScreen = (boardX, boardY, { x, y, zoom }) => {
+  return {
+    x: boardX * zoom + x,
+    y: boardY * zoom + y,
+  };
+};
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+// Zooms while keeping the board point under (screenX, screenY) in place
+export const zoomViewportAt = (viewport, zoom, screenX, screenY) => {
+  const nextZoom = clampZoom(zoom);
+  const anchor = screenToBoard(screenX, screenY, viewport);
+  return {
+    x: screenX - anchor.x * nextZoom,
+    y: screenY - anchor.y * nextZoom,
+    zoom: nextZoom,
+  };
+};
+
+export const getViewportToFit = (bounds, width, height) => {
+  const contentWidth = bounds.maxX - bounds.minX;
+  const contentHeight = bounds.maxY - bounds.minY;
+  const zoom = clampZoom(
+    Math.min(
+      (width - ZOOM_FIT_PADDING * 2) / Math.max(contentWidth, 1),
+      (height - ZOOM_FIT_PADDING * 2) / Math.max(contentHeight, 1),
+      1
+    )
+  );
+  return {
+    x: width / 2 - ((bounds.minX + bounds.maxX) / 2) * zoom,
+    y: height / 2 - ((bounds.minY + bounds.maxY) / 2) * zoom,
+    zoom,
+  };
+};